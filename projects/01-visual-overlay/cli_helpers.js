@@ -0,0 +1,69 @@
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *  🧰  CLI helpers
+ *  • shared by map_project_functions.js, map_express_routes.js,
+ *    lint_emoji_sections.js and wrap_recursive.js
+ *  • each CLI keeps its own CLI_FLAGS table and USAGE text and
+ *    hands them to parseArgs:
+ *        { '--format': { key:'format', arg:true },
+ *          '--ignore': { key:'ignore', arg:true, list:true } }
+ *    arg takes a value (--f v or --f=v), list splits it on commas
+ *    and collects repeats
+ *  • parseArgs throws instead of exiting, so every CLI reports a
+ *    bad flag with its own exit code and style
+ *  • fast-glob and chalk load on first use: wrap_recursive.js only
+ *    parses flags here and still runs on plain node
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
+
+const path = require('node:path');
+const fs   = require('node:fs');
+
+/* ── arguments ────────────────────────────────────────────── */
+/* argv → { _:[positionals…], <key>: true | value | [values…] };
+   commands, when given, lists what the first positional may be    */
+function parseArgs (argv, { flags, usage, commands }) {
+  const args = { _:[] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('-')) { args._.push(argv[i]); continue; }
+    const [flag, inline] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+    const spec = flags[flag];
+    if (!spec) throw new Error(`Unknown option "${flag}"\n\n${usage}`);
+    if (!spec.arg) { args[spec.key] = true; continue; }
+    const value = inline ?? argv[++i];
+    if (value === undefined || (inline === undefined && value.startsWith('-')))
+      throw new Error(`Option ${flag} expects a value`);
+    if (spec.list) (args[spec.key] = args[spec.key] || []).push(...splitList(value));
+    else args[spec.key] = value;
+  }
+  if (commands && args._.length && !commands.includes(args._[0]))
+    throw new Error(`Unknown command "${args._[0]}"\n\n${usage}`);
+  return args;
+}
+function splitList (s) { return s.split(',').map(x => x.trim()).filter(Boolean); }
+
+/* ── files ────────────────────────────────────────────────── */
+/* files, directories (searched for glob) and globs, relative to root
+   → sorted absolute paths, [] when nothing matched                   */
+async function expand (inputs, { root, glob, ignore }) {
+  const fg    = require('fast-glob');
+  const found = new Set();
+  for (const input of inputs) {
+    const abs = path.resolve(root, input);
+    let stat = null;
+    try { stat = fs.statSync(abs); } catch { /* not a path – treat as a glob */ }
+    const matches = stat?.isFile() ? [abs]
+      : await fg(stat ? glob : input, { cwd: stat ? abs : root, absolute: true, ignore });
+    matches.forEach(f => found.add(f));
+  }
+  return [...found].sort();
+}
+
+/* ── output ───────────────────────────────────────────────── */
+function csvRow (cells) {
+  return cells.map(c => {
+    const s = String(c ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(',');
+}
+function exitWith (msg, code = 1) { console.error(require('chalk').red(msg)); process.exit(code); }
+
+module.exports = { parseArgs, splitList, expand, csvRow, exitWith };
@@ -31,15 +31,24 @@ window.cloudStorageService = {
   },
   
   /**
-   * Fetch contents of a specific bucket
+   * Fetch one page of the contents of a specific bucket
    * @param {string} bucketName - Bucket name
    * @param {boolean} useRealData - Whether to use real data
    * @param {function} callback - Callback to handle response
+   * @param {Object} [options] - Listing options: prefix, delimiter, pageToken (the previous
+   *   page's nextPageToken) and pageSize
    */
-  fetchBucketContents: function(bucketName, useRealData, callback) {
+  fetchBucketContents: function(bucketName, useRealData, callback, options = {}) {
     console.log(`🔍 SERVICE: fetchBucketContents details - bucketName: ${bucketName}, useRealData: ${useRealData}`);
     
-    fetch(`/api/cloud-storage/buckets/${bucketName}?useRealData=${useRealData}`)
+    const params = new URLSearchParams({ useRealData });
+    ['prefix', 'delimiter', 'pageToken', 'pageSize'].forEach(key => {
+      if (options[key]) {
+        params.set(key, options[key]);
+      }
+    });
+    
+    fetch(`/api/cloud-storage/buckets/${bucketName}?${params}`)
       .then(response => {
         console.log(`📡 SERVICE: Response status: ${response.status}`);
         if (!response.ok) {
@@ -58,6 +67,33 @@ window.cloudStorageService = {
       });
   },
   
+  /**
+   * Fetch statistics for a whole bucket
+   * @param {string} bucketName - Bucket name
+   * @param {boolean} useRealData - Whether to use real data
+   * @param {function} callback - Callback to handle response
+   * @param {boolean} refresh - Bypass the server's stats cache
+   */
+  fetchBucketStats: function(bucketName, useRealData, callback, refresh = false) {
+    console.log(`📊 SERVICE: fetchBucketStats details - bucketName: ${bucketName}, useRealData: ${useRealData}, refresh: ${refresh}`);
+    
+    fetch(`/api/cloud-storage/buckets/${bucketName}/stats?useRealData=${useRealData}&refresh=${refresh}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP error ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        console.log('📊 SERVICE: Bucket stats fetched:', data);
+        callback(data);
+      })
+      .catch(error => {
+        console.error(`❌ SERVICE: Error fetching stats for bucket ${bucketName}:`, error);
+        callback(null);
+      });
+  },
+  
   /**
    * Upload a file to a bucket
    * @param {string} bucketName - Bucket name
@@ -68,9 +104,10 @@ window.cloudStorageService = {
   uploadFile: function(bucketName, file, destination, callback) {
     console.log(`📤 SERVICE: Uploading file to bucket ${bucketName}`);
     
+    // destination goes first: the server streams the file to storage as soon as it arrives
     const formData = new FormData();
-    formData.append('file', file);
     formData.append('destination', destination);
+    formData.append('file', file);
     
     fetch(`/api/cloud-storage/buckets/${bucketName}/upload`, {
       method: 'POST',
@@ -570,6 +607,7 @@ window.filesController = {
     
     // State
     let selectedBucketName = null;
+    let currentPrefix = '';
     let files = [];
     let pollingInterval = null;
     
@@ -614,6 +652,15 @@ window.filesController = {
         });
       }
       
+      // Folder rows open that folder
+      filesContainer.addEventListener('click', (e) => {
+        const folderRow = e.target.closest('[data-prefix]');
+        if (folderRow && selectedBucketName) {
+          currentPrefix = folderRow.dataset.prefix;
+          fetchFiles(selectedBucketName);
+        }
+      });
+      
       // Upload button
       const uploadBtn = document.getElementById('upload-file-btn');
       const fileInput = document.getElementById('file-upload');
@@ -635,6 +682,7 @@ window.filesController = {
       console.log('📣 FILES CONTROLLER: Received bucketSelected event:', event.detail);
       const { bucketName } = event.detail;
       selectedBucketName = bucketName;
+      currentPrefix = '';
       
       // Clear existing files
       files = [];
@@ -667,31 +715,57 @@ window.filesController = {
       const settings = loadSettings();
       const useRealData = settings.useRealData || false;
       
-      // Fetch data
+      // Fetch data – one folder level at a time, following nextPageToken until
+      // the listing is complete (the server hands out at most 1000 entries a page)
       console.log('📊 FILES CONTROLLER: Fetching bucket contents with useRealData:', useRealData);
-      window.cloudStorageService.fetchBucketContents(bucketName, useRealData, function(result) {
-        console.log('📊 FILES CONTROLLER: Received bucket contents result:', result);
-        if (result && result.files) {
+      const prefix = currentPrefix;
+      const listing = { files: [], folders: [], stats: { totalFiles: 0, fileTypes: {} } };
+      const fetchPage = (pageToken) => {
+        const options = { prefix, delimiter: '/', pageToken };
+        window.cloudStorageService.fetchBucketContents(bucketName, useRealData, function(result) {
+          console.log('📊 FILES CONTROLLER: Received bucket contents result:', result);
+          
+          // A newer listing (another bucket or folder) has started meanwhile
+          if (bucketName !== selectedBucketName || prefix !== currentPrefix) {
+            return;
+          }
+          if (!result || !result.files) {
+            console.error('❌ FILES CONTROLLER: Failed to get files from result');
+            if (filesContainer) {
+              filesContainer.innerHTML = '<div class="error-state">Error loading files</div>';
+            }
+            return;
+          }
+          
           console.log('📊 FILES CONTROLLER: Files received:', result.files.length);
-          files = result.files;
-          renderFiles(files);
+          listing.files.push(...result.files);
+          listing.folders.push(...(result.folders || []));
+          if (result.stats) {
+            listing.stats.totalFiles += result.stats.totalFiles || 0;
+            Object.entries(result.stats.fileTypes || {}).forEach(([type, count]) => {
+              listing.stats.fileTypes[type] = (listing.stats.fileTypes[type] || 0) + count;
+            });
+          }
+          if (result.nextPageToken) {
+            fetchPage(result.nextPageToken);
+            return;
+          }
+          
+          files = listing.files;
+          renderFiles(files, listing.folders);
           
           // Draw charts
-          if (result.stats && settings.showCharts !== false) {
-            drawFileCharts(result.stats, files);
+          if (settings.showCharts !== false) {
+            drawFileCharts(listing.stats, files);
           }
           
           updateTimestamp();
-        } else {
-          console.error('❌ FILES CONTROLLER: Failed to get files from result');
-          if (filesContainer) {
-            filesContainer.innerHTML = '<div class="error-state">Error loading files</div>';
-          }
-        }
-      });
+        }, options);
+      };
+      fetchPage();
     }
     
-    function renderFiles(files) {
+    function renderFiles(files, folders = []) {
       console.log('🎨 FILES CONTROLLER: renderFiles called with files:', files);
       
       // Refresh reference to filesContainer in case it was null earlier
@@ -704,7 +778,7 @@ window.filesController = {
         }
       }
       
-      if (!files || files.length === 0) {
+      if ((!files || files.length === 0) && folders.length === 0 && !currentPrefix) {
         console.log('⚠️ FILES CONTROLLER: No files to render');
         filesContainer.innerHTML = '<div class="empty-state">No files available in this bucket</div>';
         return;
@@ -724,10 +798,37 @@ window.filesController = {
           <tbody>
       `;
       
-      // Group files by directory
+      // Inside a folder, the first row leads back up one level
+      if (currentPrefix) {
+        const parent = currentPrefix.slice(0, currentPrefix.slice(0, -1).lastIndexOf('/') + 1);
+        html += `
+          <tr class="directory-row folder-row" data-prefix="${escapeHtml(parent)}">
+            <td colspan="5">
+              <div class="directory-name">
+                <i class="fas fa-level-up-alt"></i> ${escapeHtml(currentPrefix)}
+              </div>
+            </td>
+          </tr>
+        `;
+      }
+      
+      // Folders (common prefixes of the listing) open on click
+      folders.forEach(folder => {
+        html += `
+          <tr class="directory-row folder-row" data-prefix="${escapeHtml(folder)}">
+            <td colspan="5">
+              <div class="directory-name">
+                <i class="fas fa-folder"></i> ${escapeHtml(folder.slice(currentPrefix.length))}
+              </div>
+            </td>
+          </tr>
+        `;
+      });
+      
+      // Group files by directory (below the open folder)
       const filesByDir = {};
       files.forEach(file => {
-        const parts = file.name.split('/');
+        const parts = file.name.slice(currentPrefix.length).split('/');
         const dirPath = parts.length > 1 ? parts.slice(0, -1).join('/') : '';
         const dir = dirPath || 'Root';
         
@@ -805,6 +906,11 @@ window.filesController = {
       console.log('✅ FILES CONTROLLER: Files list rendered, HTML length:', html.length);
     }
     
+    // Folder names come from the bucket – keep them from being read as markup
+    function escapeHtml(value) {
+      return String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+    }
+    
     function drawFileCharts(stats, files) {
       // Check if chart container exists
       if (!chartContainer) {
@@ -1014,7 +1120,7 @@ window.statsController = {
       if (refreshBtn) {
         refreshBtn.addEventListener('click', () => {
           if (selectedBucketName) {
-            fetchStats(selectedBucketName);
+            fetchStats(selectedBucketName, true);
           }
         });
       }
@@ -1037,7 +1143,7 @@ window.statsController = {
       fetchStats(bucketName);
     }
     
-    function fetchStats(bucketName) {
+    function fetchStats(bucketName, refresh = false) {
       console.log('🔄 STATS CONTROLLER: fetchStats called with bucketName:', bucketName);
       if (!bucketName) {
         console.error('❌ STATS CONTROLLER: No bucketName provided to fetchStats');
@@ -1057,9 +1163,9 @@ window.statsController = {
       const useRealData = settings.useRealData || false;
       
       // Fetch data
-      console.log('📊 STATS CONTROLLER: Fetching bucket contents with useRealData:', useRealData);
-      window.cloudStorageService.fetchBucketContents(bucketName, useRealData, function(result) {
-        console.log('📊 STATS CONTROLLER: Received bucket contents result:', result);
+      console.log('📊 STATS CONTROLLER: Fetching bucket stats with useRealData:', useRealData);
+      window.cloudStorageService.fetchBucketStats(bucketName, useRealData, function(result) {
+        console.log('📊 STATS CONTROLLER: Received bucket stats result:', result);
         if (result && result.stats) {
           console.log('📊 STATS CONTROLLER: Stats received:', result.stats);
           bucketStats = result.stats;
@@ -1071,7 +1177,7 @@ window.statsController = {
             statsContainer.innerHTML = '<div class="error-state">Error loading stats</div>';
           }
         }
-      });
+      }, refresh);
     }
     
     function renderStats(stats) {
@@ -1126,7 +1232,7 @@ window.statsController = {
         Object.entries(stats.fileTypes).forEach(([type, count]) => {
           html += `
             <tr>
-              <td>${type}</td>
+              <td>${escapeHtml(type)}</td>
               <td>${count}</td>
             </tr>
           `;
@@ -1170,11 +1276,78 @@ window.statsController = {
         `;
       }
       
+      // Add top-level folders if available
+      if (stats.prefixes) {
+        html += `
+          <div class="prefix-distribution">
+            <h3>Top-Level Folders</h3>
+            <table class="stats-table">
+              <thead>
+                <tr>
+                  <th>Folder</th>
+                  <th>Files</th>
+                </tr>
+              </thead>
+              <tbody>
+        `;
+        
+        Object.entries(stats.prefixes).forEach(([prefix, count]) => {
+          html += `
+            <tr>
+              <td>${escapeHtml(prefix)}</td>
+              <td>${count}</td>
+            </tr>
+          `;
+        });
+        
+        html += `
+              </tbody>
+            </table>
+          </div>
+        `;
+      }
+      
+      // Add largest files if available
+      if (stats.largestFiles && stats.largestFiles.length > 0) {
+        html += `
+          <div class="largest-files">
+            <h3>Largest Files</h3>
+            <table class="stats-table">
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Size</th>
+                </tr>
+              </thead>
+              <tbody>
+        `;
+        
+        stats.largestFiles.forEach(file => {
+          html += `
+            <tr>
+              <td>${escapeHtml(file.name)}</td>
+              <td>${file.size}</td>
+            </tr>
+          `;
+        });
+        
+        html += `
+              </tbody>
+            </table>
+          </div>
+        `;
+      }
+      
       // Set the innerHTML and verify it was updated
       statsContainer.innerHTML = html;
       console.log('✅ STATS CONTROLLER: Stats rendered, HTML length:', html.length);
     }
     
+    // Object names, folders and content types come from the bucket – keep them from being read as markup
+    function escapeHtml(value) {
+      return String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+    }
+    
     function updateTimestamp() {
       const timestampEl = document.getElementById('stats-last-refreshed');
       if (timestampEl) {
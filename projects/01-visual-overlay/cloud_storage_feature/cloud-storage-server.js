@@ -1,31 +1,70 @@
-// server/utils/cloud-storage/storage-service.js
+// server/config/cloud-storage.js
 /**
- * Cloud Storage Service Utility
- * Handles integration with the Google Cloud Storage API
+ * Cloud Storage Configuration
+ * Which storage provider serves which bucket, plus provider settings.
+ *   STORAGE_PROVIDER   default provider for every bucket: gcs | local | s3
+ *   STORAGE_BUCKETS    per-bucket overrides, e.g. "overlay-assets:s3,backups:local"
  */
 require('dotenv').config();
 
-// Log environment variables for debugging
-console.log('🔧 CLOUD-STORAGE-SERVICE ENV VARIABLES:');
-console.log('GCS_PROJECT_ID:', process.env.GCS_PROJECT_ID);
-console.log('GCS_KEY_PATH:', process.env.GCS_KEY_PATH);
-console.log('GCS_BUCKET_NAME:', process.env.GCS_BUCKET_NAME);
+// "bucket:provider,bucket:provider" → { bucket: provider }
+function parseBucketProviders(spec = '') {
+  const bucketProviders = {};
+  for (const entry of spec.split(',')) {
+    const [bucketName, provider] = entry.split(':').map(part => part.trim());
+    if (bucketName && provider) {
+      bucketProviders[bucketName] = provider.toLowerCase();
+    }
+  }
+  return bucketProviders;
+}
 
-// Import dependencies
+module.exports = {
+  defaultProvider: (process.env.STORAGE_PROVIDER || 'gcs').toLowerCase(),
+  bucketProviders: parseBucketProviders(process.env.STORAGE_BUCKETS),
+  // How long a computed /buckets/:bucketName/stats result is reused
+  statsTtlSeconds: parseInt(process.env.STORAGE_STATS_TTL, 10) || 60,
+  local: {
+    root: process.env.STORAGE_LOCAL_ROOT || 'storage'
+  },
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,            // e.g. http://localhost:9000 for MinIO, unset for AWS
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO and most S3 stand-ins only speak path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT)
+  }
+};
+
+// server/utils/cloud-storage/providers/gcs-provider.js
+/**
+ * Google Cloud Storage Provider
+ * Storage backend for buckets hosted on Google Cloud Storage
+ */
 const {Storage} = require('@google-cloud/storage');
 const path = require('path');
 const fs = require('fs');
-const logger = require('../logger');
+const { pipeline } = require('stream/promises');
+const { contentTypeOf } = require('./content-types');
+const logger = require('../../logger');
 
 // Initialize Storage client
 let storageClient = null;
 
+// Service account key location (resolved per call so .env changes are picked up)
+function getKeyFilePath() {
+  return process.env.GCS_KEY_PATH || path.join(__dirname, '../../../config/keys/trauco-bq-monitor-dev-sa-ed1febb00448.json');
+}
+
 // Function to initialize Storage client
 async function getStorageClient() {
   if (!storageClient) {
     try {
       // Get service account key file path from config
-      const keyFilePath = process.env.GCS_KEY_PATH || path.join(__dirname, '../../config/keys/trauco-bq-monitor-dev-sa-ed1febb00448.json');
+      const keyFilePath = getKeyFilePath();
       const projectId = process.env.GCS_PROJECT_ID || 'atca-mvp-test';
       
       logger.info(`🔑 Attempting to initialize Cloud Storage client with key: ${keyFilePath}`);
@@ -66,6 +105,519 @@ async function getStorageClient() {
   return storageClient;
 }
 
+// Same as getStorageClient, but a missing client is an error for the caller
+async function requireClient() {
+  const client = await getStorageClient();
+  if (!client) {
+    throw new Error('Storage client initialization failed');
+  }
+  return client;
+}
+
+// GCS metadata → provider object entry
+function toObjectInfo(metadata) {
+  return {
+    name: metadata.name,
+    size: parseInt(metadata.size, 10) || 0,
+    contentType: metadata.contentType,
+    updated: metadata.updated
+  };
+}
+
+const gcsProvider = {
+  name: 'gcs',
+  
+  /**
+   * Whether the provider can be used at all (service account key present)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return fs.existsSync(getKeyFilePath());
+  },
+  
+  async listBuckets() {
+    const client = await requireClient();
+    const [buckets] = await client.getBuckets();
+    return buckets.map(bucket => ({
+      id: bucket.id || bucket.name,
+      name: bucket.name
+    }));
+  },
+  
+  async listObjects(bucketName, { prefix, delimiter, pageToken, pageSize }) {
+    const client = await requireClient();
+    // One page per call; the list response already carries each object's metadata
+    const [files, nextQuery, apiResponse] = await client.bucket(bucketName).getFiles({
+      prefix,
+      delimiter,
+      pageToken,
+      maxResults: pageSize,
+      autoPaginate: false
+    });
+    return {
+      objects: files.map(file => toObjectInfo(file.metadata)),
+      folders: apiResponse?.prefixes || [],
+      nextPageToken: nextQuery?.pageToken || null
+    };
+  },
+  
+  async upload(bucketName, objectName, source, { contentType } = {}) {
+    const client = await requireClient();
+    const file = client.bucket(bucketName).file(objectName);
+    await pipeline(source, file.createWriteStream({
+      contentType: contentType || contentTypeOf(objectName),
+      // Uploads are capped well below the size where resumable sessions pay off
+      resumable: false
+      // Optional: set a generation-match precondition to avoid overwriting files
+      // preconditionOpts: {ifGenerationMatch: 0}
+    }));
+    const [metadata] = await file.getMetadata();
+    return toObjectInfo(metadata);
+  },
+  
+  async download(bucketName, objectName, { start, end } = {}) {
+    const client = await requireClient();
+    return client.bucket(bucketName).file(objectName).createReadStream({ start, end });
+  },
+  
+  async delete(bucketName, objectName) {
+    const client = await requireClient();
+    await client.bucket(bucketName).file(objectName).delete();
+  },
+  
+  async stat(bucketName, objectName) {
+    const client = await requireClient();
+    const [metadata] = await client.bucket(bucketName).file(objectName).getMetadata();
+    return toObjectInfo(metadata);
+  }
+};
+
+module.exports = gcsProvider;
+
+// server/utils/cloud-storage/providers/content-types.js
+/**
+ * Content types by file extension, for providers whose listings
+ * don't carry one (local files, S3 ListObjectsV2)
+ */
+const path = require('path');
+
+// Extension → content type, for the types the overlay deals in
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip'
+};
+
+function contentTypeOf(objectName) {
+  return CONTENT_TYPES[path.extname(objectName).toLowerCase()] || 'application/octet-stream';
+}
+
+module.exports = { CONTENT_TYPES, contentTypeOf };
+
+// server/utils/cloud-storage/providers/local-provider.js
+/**
+ * Local Filesystem Provider
+ * Serves a directory as object storage so the overlay runs offline:
+ *   STORAGE_LOCAL_ROOT/<bucket>/<path/to/object>
+ * every top-level directory is a bucket, every file below it an object
+ * named by its '/'-separated path relative to the bucket directory
+ */
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const config = require('../../../config/cloud-storage');
+const { contentTypeOf } = require('./content-types');
+const logger = require('../../logger');
+
+function getRoot() {
+  return path.resolve(config.local.root);
+}
+
+// A name the caller got wrong – status 400 tells the routes it's not a server fault
+function invalidName(kind, name) {
+  const error = new Error(`Invalid ${kind} name: ${name}`);
+  error.status = 400;
+  return error;
+}
+
+// Bucket directory, refusing names that would step outside the root
+function bucketDir(bucketName) {
+  if (!bucketName || bucketName.startsWith('.') || /[\\/]/.test(bucketName)) {
+    throw invalidName('bucket', bucketName);
+  }
+  return path.join(getRoot(), bucketName);
+}
+
+// Object file path, refusing names that would step outside the bucket
+function objectPath(bucketName, objectName) {
+  const dir = bucketDir(bucketName);
+  const target = path.resolve(dir, objectName || '');
+  if (!target.startsWith(dir + path.sep)) {
+    throw invalidName('object', objectName);
+  }
+  return target;
+}
+
+async function statObject(bucketName, objectName) {
+  try {
+    const stats = await fs.promises.stat(objectPath(bucketName, objectName));
+    if (!stats.isFile()) throw new Error('not a file');
+    return {
+      name: objectName,
+      size: stats.size,
+      contentType: contentTypeOf(objectName),
+      updated: stats.mtime.toISOString()
+    };
+  } catch (error) {
+    if (error.status === 400) throw error;
+    throw new Error(`No such object: ${bucketName}/${objectName}`);
+  }
+}
+
+// Every file below dir as a '/'-separated path relative to the bucket
+async function walk(dir, prefix = '') {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const names = [];
+  for (const entry of entries) {
+    const name = prefix + entry.name;
+    if (entry.isDirectory()) {
+      names.push(...await walk(path.join(dir, entry.name), `${name}/`));
+    } else if (entry.isFile()) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+const localProvider = {
+  name: 'local',
+  
+  /**
+   * Whether the provider can be used at all (root directory present)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return fs.existsSync(getRoot());
+  },
+  
+  async listBuckets() {
+    const entries = await fs.promises.readdir(getRoot(), { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => ({ id: entry.name, name: entry.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+  
+  async listObjects(bucketName, { prefix = '', delimiter, pageToken, pageSize }) {
+    const dir = bucketDir(bucketName);
+    if (!fs.existsSync(dir)) {
+      throw new Error(`No such bucket: ${bucketName}`);
+    }
+    const names = (await walk(dir)).filter(name => name.startsWith(prefix)).sort();
+    
+    // Objects and folders share one key order, as in a bucket listing
+    const entries = [];
+    for (const name of names) {
+      const cut = delimiter ? name.indexOf(delimiter, prefix.length) : -1;
+      const folder = cut >= 0 ? name.slice(0, cut + delimiter.length) : null;
+      if (!folder) {
+        entries.push({ key: name });
+      } else if (entries[entries.length - 1]?.key !== folder) {
+        entries.push({ key: folder, folder: true });
+      }
+    }
+    
+    // The page token is the last key handed out (names are sorted, so this survives writes)
+    const after = pageToken ? Buffer.from(pageToken, 'base64url').toString() : null;
+    const start = after === null ? 0 : entries.findIndex(entry => entry.key > after);
+    const page = start < 0 ? [] : entries.slice(start, start + pageSize);
+    const more = start >= 0 && start + pageSize < entries.length;
+    
+    return {
+      objects: await Promise.all(page.filter(entry => !entry.folder).map(entry => statObject(bucketName, entry.key))),
+      folders: page.filter(entry => entry.folder).map(entry => entry.key),
+      nextPageToken: more ? Buffer.from(page[page.length - 1].key).toString('base64url') : null
+    };
+  },
+  
+  // Plain files keep no content type – it's derived from the name on the way out
+  async upload(bucketName, objectName, source) {
+    if (!fs.existsSync(bucketDir(bucketName))) {
+      throw new Error(`No such bucket: ${bucketName}`);
+    }
+    const target = objectPath(bucketName, objectName);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await pipeline(source, fs.createWriteStream(target));
+    } catch (error) {
+      // Don't leave a truncated object behind
+      await fs.promises.rm(target, { force: true });
+      throw error;
+    }
+    logger.info(`💾 Stored ${objectName} in ${target}`);
+    return statObject(bucketName, objectName);
+  },
+  
+  async download(bucketName, objectName, { start, end } = {}) {
+    await statObject(bucketName, objectName);
+    return fs.createReadStream(objectPath(bucketName, objectName), { start, end });
+  },
+  
+  async delete(bucketName, objectName) {
+    await statObject(bucketName, objectName);
+    const target = objectPath(bucketName, objectName);
+    await fs.promises.unlink(target);
+    
+    // Object stores have no empty folders – prune the directories we emptied
+    const dir = bucketDir(bucketName);
+    for (let parent = path.dirname(target); parent !== dir; parent = path.dirname(parent)) {
+      if ((await fs.promises.readdir(parent)).length) break;
+      await fs.promises.rmdir(parent);
+    }
+  },
+  
+  stat(bucketName, objectName) {
+    return statObject(bucketName, objectName);
+  }
+};
+
+module.exports = localProvider;
+
+// server/utils/cloud-storage/providers/s3-provider.js
+/**
+ * S3-Compatible Storage Provider
+ * Storage backend for AWS S3 and S3-compatible servers such as MinIO
+ * (set S3_ENDPOINT to the server URL)
+ */
+const config = require('../../../config/cloud-storage');
+const { contentTypeOf } = require('./content-types');
+const logger = require('../../logger');
+
+// The SDK is only needed when a bucket is served from S3, so it's loaded on first use
+let sdk = null;
+let s3Client = null;
+
+function getS3Sdk() {
+  if (!sdk) {
+    sdk = require('@aws-sdk/client-s3');
+  }
+  return sdk;
+}
+
+function getS3Client() {
+  if (!s3Client) {
+    const { endpoint, region, accessKeyId, secretAccessKey, forcePathStyle } = config.s3;
+    logger.info(`🔑 Initializing S3 client for ${endpoint || `AWS (${region})`}`);
+    s3Client = new (getS3Sdk().S3Client)({
+      endpoint,
+      region,
+      forcePathStyle,
+      // Without explicit keys the SDK falls back to the usual AWS credential chain
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+    });
+  }
+  return s3Client;
+}
+
+// Send one command, e.g. send('HeadObject', { Bucket, Key })
+function send(command, input) {
+  const Command = getS3Sdk()[`${command}Command`];
+  return getS3Client().send(new Command(input));
+}
+
+// 404s come back as NotFound / NoSuchKey depending on the command
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+}
+
+const s3Provider = {
+  name: 's3',
+  
+  /**
+   * Whether the provider can be used at all (endpoint or credentials set)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    const { endpoint, accessKeyId } = config.s3;
+    return Boolean(endpoint || accessKeyId || process.env.AWS_ACCESS_KEY_ID || process.env.AWS_PROFILE);
+  },
+  
+  async listBuckets() {
+    const { Buckets = [] } = await send('ListBuckets', {});
+    return Buckets.map(bucket => ({ id: bucket.Name, name: bucket.Name }));
+  },
+  
+  async listObjects(bucketName, { prefix, delimiter, pageToken, pageSize }) {
+    const page = await send('ListObjectsV2', {
+      Bucket: bucketName,
+      Prefix: prefix,
+      Delimiter: delimiter,
+      ContinuationToken: pageToken,
+      MaxKeys: pageSize
+    });
+    return {
+      objects: (page.Contents || []).map(item => ({
+        name: item.Key,
+        size: item.Size,
+        // ListObjectsV2 carries no content type – guess it from the key
+        contentType: contentTypeOf(item.Key),
+        updated: item.LastModified.toISOString()
+      })),
+      folders: (page.CommonPrefixes || []).map(common => common.Prefix),
+      nextPageToken: page.IsTruncated ? page.NextContinuationToken : null
+    };
+  },
+  
+  async upload(bucketName, objectName, source, { contentType } = {}) {
+    // PutObject needs the length up front; lib-storage streams unknown lengths as a multipart upload
+    const { Upload } = require('@aws-sdk/lib-storage');
+    await new Upload({
+      client: getS3Client(),
+      params: {
+        Bucket: bucketName,
+        Key: objectName,
+        Body: source,
+        ContentType: contentType || contentTypeOf(objectName)
+      }
+    }).done();
+    return s3Provider.stat(bucketName, objectName);
+  },
+  
+  async download(bucketName, objectName, { start, end } = {}) {
+    try {
+      const range = start === undefined ? undefined : `bytes=${start}-${end ?? ''}`;
+      const { Body } = await send('GetObject', { Bucket: bucketName, Key: objectName, Range: range });
+      return Body;
+    } catch (error) {
+      if (isNotFound(error)) throw new Error(`No such object: ${bucketName}/${objectName}`);
+      throw error;
+    }
+  },
+  
+  async delete(bucketName, objectName) {
+    // S3 deletes are idempotent – check first so a missing object is reported like elsewhere
+    await s3Provider.stat(bucketName, objectName);
+    await send('DeleteObject', { Bucket: bucketName, Key: objectName });
+  },
+  
+  async stat(bucketName, objectName) {
+    try {
+      const head = await send('HeadObject', { Bucket: bucketName, Key: objectName });
+      return {
+        name: objectName,
+        size: head.ContentLength,
+        contentType: head.ContentType || contentTypeOf(objectName),
+        updated: head.LastModified.toISOString()
+      };
+    } catch (error) {
+      if (isNotFound(error)) throw new Error(`No such object: ${bucketName}/${objectName}`);
+      throw error;
+    }
+  }
+};
+
+module.exports = s3Provider;
+
+// server/utils/cloud-storage/providers/index.js
+/**
+ * Storage Provider Registry
+ * Every provider implements the same backend interface:
+ *   name                                                     provider id ('gcs', 'local', 's3')
+ *   isConfigured()                                           → boolean, credentials / root present
+ *   listBuckets()                                            → [{ id, name }]
+ *   listObjects(bucketName, listOptions)                     → { objects: [ObjectInfo], folders, nextPageToken }
+ *   upload(bucketName, objectName, source, { contentType })  → ObjectInfo
+ *   download(bucketName, objectName, { start, end })         → Readable
+ *   delete(bucketName, objectName)
+ *   stat(bucketName, objectName)                             → ObjectInfo
+ * where ObjectInfo is { name, size (bytes), contentType, updated (ISO) } and
+ * listOptions is { prefix, delimiter, pageToken, pageSize } – one page per call,
+ * folders being the common prefixes up to the delimiter and nextPageToken
+ * null on the last page. upload() consumes the source stream; download()
+ * returns a stream of the object, or of bytes start..end (inclusive) only.
+ * Methods reject with an Error – one with status 400 when a bucket or object
+ * name is malformed; cloudStorageService turns that into its
+ * { success: false, error } / mock-data fallbacks (invalid: true for a 400).
+ * Which provider serves a bucket comes from server/config/cloud-storage.js.
+ */
+const config = require('../../../config/cloud-storage');
+const logger = require('../../logger');
+
+const providers = {
+  gcs: require('./gcs-provider'),
+  local: require('./local-provider'),
+  s3: require('./s3-provider')
+};
+
+function byName(name, setting) {
+  if (!providers[name]) {
+    logger.warn(`⚠️ Unknown storage provider "${name}" in ${setting}, using gcs`);
+    return providers.gcs;
+  }
+  return providers[name];
+}
+
+/**
+ * Provider serving a bucket: its STORAGE_BUCKETS entry, else STORAGE_PROVIDER
+ * @param {string} [bucketName] - Bucket name (omit for the default provider)
+ * @returns {Object} Storage provider
+ */
+function getProvider(bucketName) {
+  const override = bucketName && config.bucketProviders[bucketName];
+  return override
+    ? byName(override, 'STORAGE_BUCKETS')
+    : byName(config.defaultProvider, 'STORAGE_PROVIDER');
+}
+
+/**
+ * Every provider that serves at least one bucket, default provider first
+ * @returns {Array<Object>} Storage providers
+ */
+function getProvidersInUse() {
+  const inUse = new Set([getProvider()]);
+  for (const bucketName of Object.keys(config.bucketProviders)) {
+    inUse.add(getProvider(bucketName));
+  }
+  return [...inUse];
+}
+
+module.exports = { getProvider, getProvidersInUse, providers };
+
+// server/utils/cloud-storage/storage-service.js
+/**
+ * Cloud Storage Service Utility
+ * Handles bucket and file operations through the storage provider serving
+ * each bucket (Google Cloud Storage, S3/MinIO, or a local directory for offline use)
+ */
+require('dotenv').config();
+
+// Log environment variables for debugging
+console.log('🔧 CLOUD-STORAGE-SERVICE ENV VARIABLES:');
+console.log('STORAGE_PROVIDER:', process.env.STORAGE_PROVIDER);
+console.log('STORAGE_BUCKETS:', process.env.STORAGE_BUCKETS);
+console.log('STORAGE_LOCAL_ROOT:', process.env.STORAGE_LOCAL_ROOT);
+console.log('S3_ENDPOINT:', process.env.S3_ENDPOINT);
+console.log('GCS_PROJECT_ID:', process.env.GCS_PROJECT_ID);
+console.log('GCS_KEY_PATH:', process.env.GCS_KEY_PATH);
+console.log('GCS_BUCKET_NAME:', process.env.GCS_BUCKET_NAME);
+
+// Import dependencies
+const logger = require('../logger');
+const config = require('../../config/cloud-storage');
+const { getProvider, getProvidersInUse } = require('./providers');
+
 // Mock generators for testing and development
 const mockDataGenerator = {
   generateMockBuckets() {
@@ -120,6 +672,98 @@ const mockDataGenerator = {
   }
 };
 
+// Largest page a single listing request may ask for
+const MAX_PAGE_SIZE = 1000;
+
+// Bucket statistics: how many largest objects and days of uploads to report
+const LARGEST_FILES = 10;
+const UPLOAD_DAYS = 7;
+
+// provider:bucket → { expires, stats: Promise } – concurrent requests share one scan
+const statsCache = new Map();
+
+// Format a byte count the way the panel displays sizes
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  } else if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+// Provider object entry → file entry sent to the client
+function toFileEntry(object) {
+  return {
+    name: object.name,
+    size: `${(object.size / 1024).toFixed(1)} KB`,
+    contentType: object.contentType,
+    updated: object.updated
+  };
+}
+
+// Every object in a bucket, one listing page at a time
+async function* iterateObjects(provider, bucketName) {
+  let pageToken;
+  do {
+    const page = await provider.listObjects(bucketName, { prefix: '', pageToken, pageSize: MAX_PAGE_SIZE });
+    yield* page.objects;
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+}
+
+// Walk the whole listing once, keeping only running totals
+async function computeBucketStats(provider, bucketName) {
+  const today = new Date();
+  const days = [];
+  for (let i = UPLOAD_DAYS - 1; i >= 0; i--) {
+    days.push(new Date(today.getTime() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+  }
+  const uploads = Object.fromEntries(days.map(day => [day, 0]));
+  
+  let totalFiles = 0;
+  let totalBytes = 0;
+  const fileTypes = {};
+  const prefixes = {};
+  let largest = [];
+  
+  for await (const object of iterateObjects(provider, bucketName)) {
+    totalFiles++;
+    totalBytes += object.size;
+    
+    const type = object.contentType || 'application/octet-stream';
+    fileTypes[type] = (fileTypes[type] || 0) + 1;
+    
+    // Top-level "folder", or (root) for objects directly in the bucket
+    const slash = object.name.indexOf('/');
+    const prefix = slash >= 0 ? object.name.slice(0, slash + 1) : '(root)';
+    prefixes[prefix] = (prefixes[prefix] || 0) + 1;
+    
+    // Object stores keep no upload history – the last write time is the closest thing
+    const day = object.updated && new Date(object.updated).toISOString().slice(0, 10);
+    if (day in uploads) uploads[day]++;
+    
+    if (largest.length < LARGEST_FILES || object.size > largest[largest.length - 1].size) {
+      largest = [...largest, object].sort((a, b) => b.size - a.size).slice(0, LARGEST_FILES);
+    }
+  }
+  
+  return {
+    totalFiles,
+    totalBytes,
+    totalSize: formatSize(totalBytes),
+    fileTypes,
+    prefixes,
+    uploadsByDay: days.map(day => ({ day, count: uploads[day] })),
+    largestFiles: largest.map(object => ({ ...toFileEntry(object), bytes: object.size }))
+  };
+}
+
+// Uploads and deletes make a bucket's cached stats stale
+function invalidateStats(provider, bucketName) {
+  statsCache.delete(`${provider.name}:${bucketName}`);
+}
+
 // Cloud Storage service implementation
 const cloudStorageService = {
   /**
@@ -128,319 +772,323 @@ const cloudStorageService = {
    * @returns {Promise<Object>} Object containing buckets and metadata
    */
   getBuckets: async function(useRealData = false) {
-    try {
-      // Get key file path from config
-      const keyFilePath = process.env.GCS_KEY_PATH || path.join(__dirname, '../../config/keys/trauco-bq-monitor-dev-sa-ed1febb00448.json');
-      const keyFileExists = fs.existsSync(keyFilePath);
-      
-      // Log the request details
-      logger.info(`📊 getBuckets called with useRealData=${useRealData}, keyFileExists=${keyFileExists}`);
-      
-      // If mock data is requested or key file doesn't exist
-      if (!useRealData || !keyFileExists) {
-        logger.info(useRealData ? '🔑 Service account key not found, using mock data' : '🧪 Mock data requested');
-        const mockBuckets = mockDataGenerator.generateMockBuckets();
-        logger.info(`📁 Returning ${mockBuckets.length} mock buckets`);
-        return { 
-          buckets: mockBuckets, 
-          isRealData: false,
-          keyFileExists: keyFileExists
-        };
-      }
-      
-      // Get Storage client
-      const client = await getStorageClient();
-      
-      if (!client) {
-        logger.error('❌ Failed to get Cloud Storage client, falling back to mock data');
-        const mockBuckets = mockDataGenerator.generateMockBuckets();
-        return { 
-          buckets: mockBuckets, 
-          isRealData: false,
-          keyFileExists: keyFileExists
-        };
-      }
-      
-      logger.info('🔍 Fetching real Cloud Storage buckets');
-      
-      // Get list of buckets
-      const [buckets] = await client.getBuckets();
-      logger.info(`📁 Found ${buckets.length} real Cloud Storage buckets`);
-      
-      if (!buckets || buckets.length === 0) {
-        logger.warn('⚠️ No Cloud Storage buckets found, falling back to mock data');
-        const mockBuckets = mockDataGenerator.generateMockBuckets();
-        logger.info(`📁 Returning ${mockBuckets.length} mock buckets as fallback`);
-        return { 
-          buckets: mockBuckets, 
-          isRealData: false,
-          keyFileExists: keyFileExists
-        };
+    const provider = getProvider();
+    // Buckets can live on several providers (STORAGE_BUCKETS); list the ones that are set up
+    const configured = getProvidersInUse().filter(source => source.isConfigured());
+    // keyFileExists is kept for the client: "some provider has what it needs"
+    const keyFileExists = configured.length > 0;
+    
+    const mockResult = (extra) => ({
+      buckets: mockDataGenerator.generateMockBuckets(),
+      isRealData: false,
+      provider: provider.name,
+      keyFileExists: keyFileExists,
+      ...extra
+    });
+    
+    // Log the request details
+    logger.info(`📊 getBuckets called with useRealData=${useRealData}, providers=${configured.map(source => source.name).join(',') || 'none'}`);
+    
+    // If mock data is requested or no provider is set up
+    if (!useRealData || !keyFileExists) {
+      logger.info(useRealData ? '🔑 No storage provider configured, using mock data' : '🧪 Mock data requested');
+      const result = mockResult();
+      logger.info(`📁 Returning ${result.buckets.length} mock buckets`);
+      return result;
+    }
+    
+    const buckets = [];
+    const errors = [];
+    for (const source of configured) {
+      try {
+        logger.info(`🔍 Fetching real ${source.name} storage buckets`);
+        const found = await source.listBuckets();
+        // A provider only lists the buckets it serves
+        const served = found.filter(bucket => getProvider(bucket.name) === source);
+        logger.info(`📁 Found ${served.length} real ${source.name} storage buckets`);
+        buckets.push(...served.map(bucket => ({ ...bucket, provider: source.name })));
+      } catch (error) {
+        logger.error(`❌ Error fetching real ${source.name} storage buckets: ${error.message}`);
+        logger.error(error.stack);
+        errors.push(`${source.name}: ${error.message}`);
       }
-      
-      // Format buckets to match expected structure
-      const formattedBuckets = buckets.map(bucket => ({
-        id: bucket.id || bucket.name,
-        name: bucket.name
-      }));
-      
-      logger.info(`📁 Returning ${formattedBuckets.length} real Cloud Storage buckets`);
-      return { 
-        buckets: formattedBuckets, 
-        isRealData: true,
-        keyFileExists: keyFileExists
-      };
-    } catch (error) {
-      logger.error(`❌ Error fetching real Cloud Storage buckets: ${error.message}`);
-      logger.error(error.stack);
-      // Check if key file exists for status reporting
-      const keyFilePath = process.env.GCS_KEY_PATH || path.join(__dirname, '../../config/keys/trauco-bq-monitor-dev-sa-ed1febb00448.json');
-      const keyFileExists = fs.existsSync(keyFilePath);
-      
-      // Fall back to mock data on error
-      const mockBuckets = mockDataGenerator.generateMockBuckets();
-      return { 
-        buckets: mockBuckets, 
-        isRealData: false,
-        keyFileExists: keyFileExists,
-        error: error.message 
-      };
     }
+    const error = errors.length ? errors.join('; ') : undefined;
+    
+    if (buckets.length === 0) {
+      // Fall back to mock data when nothing could be listed
+      logger.warn('⚠️ No storage buckets found, falling back to mock data');
+      return mockResult(error && { error });
+    }
+    
+    return { 
+      buckets, 
+      isRealData: true,
+      provider: provider.name,
+      keyFileExists: keyFileExists,
+      ...(error && { error })
+    };
   },
   
   /**
-   * Get files in a specific bucket
-   * @param {string} bucketName - Cloud Storage bucket name
+   * Get one page of files in a specific bucket
+   * @param {string} bucketName - Storage bucket name
    * @param {boolean} useRealData - Whether to use real data
-   * @returns {Promise<Object>} Bucket contents and statistics
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.prefix] - Only list objects whose names start with this
+   * @param {string} [options.delimiter] - Group names past this (e.g. '/') into folders
+   * @param {string} [options.pageToken] - nextPageToken from the previous page
+   * @param {number} [options.pageSize] - Objects and folders per page (max MAX_PAGE_SIZE)
+   * @returns {Promise<Object>} Bucket contents, folders, next page token and page statistics;
+   *   invalid is set instead when the bucket name is malformed
    */
-  getBucketContents: async function(bucketName, useRealData = false) {
+  getBucketContents: async function(bucketName, useRealData = false, options = {}) {
+    const provider = getProvider(bucketName);
+    const keyFileExists = provider.isConfigured();
+    const listOptions = {
+      prefix: options.prefix || '',
+      delimiter: options.delimiter || undefined,
+      pageToken: options.pageToken || undefined,
+      pageSize: Math.min(options.pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE)
+    };
+    
+    const mockResult = (extra) => ({
+      bucketName,
+      prefix: listOptions.prefix,
+      files: mockDataGenerator.generateMockFiles(bucketName).filter(file => file.name.startsWith(listOptions.prefix)),
+      folders: [],
+      nextPageToken: null,
+      stats: mockDataGenerator.generateMockFileStats(bucketName),
+      isRealData: false,
+      provider: provider.name,
+      keyFileExists: keyFileExists,
+      ...extra
+    });
+    
     try {
-      // Check if key file exists for status reporting
-      const keyFilePath = process.env.GCS_KEY_PATH || path.join(__dirname, '../../config/keys/trauco-bq-monitor-dev-sa-ed1febb00448.json');
-      const keyFileExists = fs.existsSync(keyFilePath);
-      
-      // If mock data is requested or key file doesn't exist
+      // If mock data is requested or the provider isn't set up
       if (!useRealData || !keyFileExists) {
-        logger.info(useRealData ? '🔑 Service account key not found, using mock data' : '🧪 Mock data requested');
-        const mockFiles = mockDataGenerator.generateMockFiles(bucketName);
-        const mockStats = mockDataGenerator.generateMockFileStats(bucketName);
-        return { 
-          bucketName,
-          files: mockFiles,
-          stats: mockStats,
-          isRealData: false,
-          keyFileExists: keyFileExists
-        };
+        logger.info(useRealData ? `🔑 ${provider.name} storage not configured, using mock data` : '🧪 Mock data requested');
+        return mockResult();
       }
       
-      const client = await getStorageClient();
-      
-      if (!client) {
-        logger.error('❌ Failed to get Cloud Storage client, falling back to mock data');
-        const mockFiles = mockDataGenerator.generateMockFiles(bucketName);
-        const mockStats = mockDataGenerator.generateMockFileStats(bucketName);
-        return { 
-          bucketName,
-          files: mockFiles,
-          stats: mockStats,
-          isRealData: false,
-          keyFileExists: keyFileExists
-        };
-      }
+      logger.info(`🔍 Fetching real ${provider.name} storage contents for bucket: ${bucketName}` +
+        (listOptions.prefix ? ` (prefix: ${listOptions.prefix})` : '') +
+        (listOptions.pageToken ? ' (next page)' : ''));
+      const { objects, folders, nextPageToken } = await provider.listObjects(bucketName, listOptions);
       
-      logger.info(`🔍 Fetching real Cloud Storage contents for bucket: ${bucketName}`);
-      
-      // Get bucket and list files
-      const bucket = client.bucket(bucketName);
-      const [files] = await bucket.getFiles();
-      
-      // Process files to extract metadata
-      const processedFiles = await Promise.all(
-        files.map(async (file) => {
-          const [metadata] = await file.getMetadata();
-          return {
-            name: file.name,
-            size: `${(parseInt(metadata.size, 10) / 1024).toFixed(1)} KB`,
-            contentType: metadata.contentType,
-            updated: metadata.updated
-          };
-        })
-      );
-      
-      // Calculate stats
-      const totalSize = files.reduce((sum, file) => {
-        const [metadata] = file.getMetadata();
-        return sum + parseInt(metadata.size, 10);
-      }, 0);
+      // Calculate stats (for the objects on this page)
+      const totalSize = objects.reduce((sum, object) => sum + object.size, 0);
       
       // Group files by type
       const filesByType = {};
-      for (const file of processedFiles) {
-        const type = file.contentType;
+      for (const object of objects) {
+        const type = object.contentType;
         filesByType[type] = (filesByType[type] || 0) + 1;
       }
       
-      // Format total size
-      let formattedSize = '';
-      if (totalSize < 1024 * 1024) {
-        formattedSize = `${(totalSize / 1024).toFixed(1)} KB`;
-      } else if (totalSize < 1024 * 1024 * 1024) {
-        formattedSize = `${(totalSize / (1024 * 1024)).toFixed(1)} MB`;
-      } else {
-        formattedSize = `${(totalSize / (1024 * 1024 * 1024)).toFixed(1)} GB`;
-      }
-      
       const stats = {
-        totalFiles: files.length,
-        totalSize: formattedSize,
+        totalFiles: objects.length,
+        totalSize: formatSize(totalSize),
         fileTypes: filesByType
       };
       
       return {
         bucketName,
-        files: processedFiles,
+        prefix: listOptions.prefix,
+        files: objects.map(toFileEntry),
+        folders,
+        nextPageToken,
         stats,
         timestamp: new Date().toISOString(),
         isRealData: true,
+        provider: provider.name,
         keyFileExists: keyFileExists
       };
     } catch (error) {
-      logger.error(`❌ Error fetching real Cloud Storage contents for bucket ${bucketName}: ${error.message}`);
+      logger.error(`❌ Error fetching real ${provider.name} storage contents for bucket ${bucketName}: ${error.message}`);
+      
+      // A bad bucket name is the caller's mistake – report it instead of showing mock data
+      if (error.status === 400) {
+        return { success: false, invalid: true, error: error.message };
+      }
       logger.error(error.stack);
       
       // Fall back to mock data on error
-      const mockFiles = mockDataGenerator.generateMockFiles(bucketName);
-      const mockStats = mockDataGenerator.generateMockFileStats(bucketName);
-      return { 
+      return mockResult({ error: error.message });
+    }
+  },
+  
+  /**
+   * Get statistics for a whole bucket, cached for STORAGE_STATS_TTL seconds
+   * @param {string} bucketName - Storage bucket name
+   * @param {boolean} useRealData - Whether to use real data
+   * @param {Object} [options] - Stats options
+   * @param {boolean} [options.refresh] - Ignore the cached result and rescan
+   * @returns {Promise<Object>} Bucket statistics; invalid is set instead when the bucket name is malformed
+   */
+  getBucketStats: async function(bucketName, useRealData = false, options = {}) {
+    const provider = getProvider(bucketName);
+    const keyFileExists = provider.isConfigured();
+    
+    const mockResult = (extra) => ({
+      bucketName,
+      stats: mockDataGenerator.generateMockFileStats(bucketName),
+      isRealData: false,
+      provider: provider.name,
+      keyFileExists: keyFileExists,
+      ...extra
+    });
+    
+    // If mock data is requested or the provider isn't set up
+    if (!useRealData || !keyFileExists) {
+      logger.info(useRealData ? `🔑 ${provider.name} storage not configured, using mock stats` : '🧪 Mock stats requested');
+      return mockResult();
+    }
+    
+    const key = `${provider.name}:${bucketName}`;
+    let entry = statsCache.get(key);
+    const cached = Boolean(entry && entry.expires > Date.now() && !options.refresh);
+    
+    if (!cached) {
+      logger.info(`📊 Computing ${provider.name} storage stats for bucket: ${bucketName}`);
+      entry = {
+        computedAt: new Date().toISOString(),
+        expires: Date.now() + config.statsTtlSeconds * 1000,
+        stats: computeBucketStats(provider, bucketName)
+      };
+      statsCache.set(key, entry);
+    }
+    
+    try {
+      const stats = await entry.stats;
+      return {
         bucketName,
-        files: mockFiles,
-        stats: mockStats,
-        isRealData: false,
-        error: error.message 
+        stats,
+        cached,
+        computedAt: entry.computedAt,
+        isRealData: true,
+        provider: provider.name,
+        keyFileExists: keyFileExists
       };
+    } catch (error) {
+      // Don't cache failures
+      if (statsCache.get(key) === entry) statsCache.delete(key);
+      
+      logger.error(`❌ Error computing ${provider.name} storage stats for bucket ${bucketName}: ${error.message}`);
+      
+      // A bad bucket name is the caller's mistake – report it instead of showing mock data
+      if (error.status === 400) {
+        return { success: false, invalid: true, error: error.message };
+      }
+      logger.error(error.stack);
+      
+      // Fall back to mock data on error
+      return mockResult({ error: error.message });
     }
   },
   
   /**
-   * Upload a file to Cloud Storage
+   * Upload a file to storage
    * @param {string} bucketName - Target bucket name
-   * @param {string} filePath - Local file path to upload
+   * @param {stream.Readable} source - File contents, streamed straight to the provider
    * @param {string} destination - Destination path in bucket
-   * @returns {Promise<Object>} Upload result
+   * @param {Object} [options] - Upload options
+   * @param {string} [options.contentType] - Content type to store with the object
+   * @returns {Promise<Object>} Upload result; invalid is set when the bucket or file name is malformed
    */
-  uploadFile: async function(bucketName, filePath, destination) {
+  uploadFile: async function(bucketName, source, destination, options = {}) {
+    const provider = getProvider(bucketName);
     try {
-      const client = await getStorageClient();
-      
-      if (!client) {
-        logger.error('❌ Failed to get Cloud Storage client');
-        return { 
-          success: false,
-          error: 'Storage client initialization failed'
-        };
-      }
-      
-      logger.info(`📤 Uploading file from ${filePath} to ${bucketName}/${destination}`);
+      logger.info(`📤 Streaming upload to ${provider.name}:${bucketName}/${destination}`);
       
-      const bucket = client.bucket(bucketName);
-      const [file] = await bucket.upload(filePath, {
-        destination: destination,
-        // Optional: set a generation-match precondition to avoid overwriting files
-        // preconditionOpts: {ifGenerationMatch: 0}
-      });
-      
-      const [metadata] = await file.getMetadata();
+      const object = await provider.upload(bucketName, destination, source, options);
+      invalidateStats(provider, bucketName);
       
-      logger.info(`✅ File uploaded successfully to ${metadata.name}`);
+      logger.info(`✅ File uploaded successfully to ${object.name}`);
       return {
         success: true,
-        file: {
-          name: metadata.name,
-          size: `${(parseInt(metadata.size, 10) / 1024).toFixed(1)} KB`,
-          contentType: metadata.contentType,
-          updated: metadata.updated
-        }
+        file: toFileEntry(object)
       };
     } catch (error) {
       logger.error(`❌ Error uploading file to ${bucketName}/${destination}: ${error.message}`);
       logger.error(error.stack);
       return {
         success: false,
+        invalid: error.status === 400,
         error: error.message
       };
     }
   },
   
   /**
-   * Download a file from Cloud Storage
-   * @param {string} bucketName - Source bucket name
+   * Get a file's size, content type and modification time
+   * @param {string} bucketName - Bucket name
    * @param {string} fileName - File path in bucket
-   * @param {string} destination - Local destination path
-   * @returns {Promise<Object>} Download result
+   * @returns {Promise<Object>} Stat result; notFound is set when the file doesn't exist,
+   *   invalid when the bucket or file name is malformed
    */
-  downloadFile: async function(bucketName, fileName, destination) {
+  statFile: async function(bucketName, fileName) {
+    const provider = getProvider(bucketName);
     try {
-      const client = await getStorageClient();
-      
-      if (!client) {
-        logger.error('❌ Failed to get Cloud Storage client');
-        return { 
-          success: false,
-          error: 'Storage client initialization failed'
-        };
-      }
-      
-      logger.info(`📥 Downloading file from ${bucketName}/${fileName} to ${destination}`);
-      
-      const bucket = client.bucket(bucketName);
-      const file = bucket.file(fileName);
-      
-      const options = {
-        destination: destination,
+      return {
+        success: true,
+        file: await provider.stat(bucketName, fileName)
       };
+    } catch (error) {
+      logger.error(`❌ Error reading metadata for ${bucketName}/${fileName}: ${error.message}`);
+      return {
+        success: false,
+        notFound: error.message.startsWith('No such object'),
+        invalid: error.status === 400,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Open a file in storage for streaming
+   * @param {string} bucketName - Source bucket name
+   * @param {string} fileName - File path in bucket
+   * @param {Object} [range] - Byte range to read, inclusive (default: whole file)
+   * @param {number} [range.start] - First byte
+   * @param {number} [range.end] - Last byte
+   * @returns {Promise<Object>} Download result with a readable stream; invalid is set when the bucket or file name is malformed
+   */
+  downloadFile: async function(bucketName, fileName, range = {}) {
+    const provider = getProvider(bucketName);
+    try {
+      logger.info(`📥 Streaming download from ${provider.name}:${bucketName}/${fileName}` +
+        (range.start === undefined ? '' : ` (bytes ${range.start}-${range.end})`));
       
-      await file.download(options);
-      
-      logger.info(`✅ File downloaded successfully to ${destination}`);
       return {
         success: true,
-        destination: destination
+        stream: await provider.download(bucketName, fileName, range)
       };
     } catch (error) {
       logger.error(`❌ Error downloading file from ${bucketName}/${fileName}: ${error.message}`);
       logger.error(error.stack);
       return {
         success: false,
+        invalid: error.status === 400,
         error: error.message
       };
     }
   },
   
   /**
-   * Delete a file from Cloud Storage
+   * Delete a file from storage
    * @param {string} bucketName - Bucket name
    * @param {string} fileName - File path in bucket
-   * @returns {Promise<Object>} Deletion result
+   * @returns {Promise<Object>} Deletion result; invalid is set when the bucket or file name is malformed
    */
   deleteFile: async function(bucketName, fileName) {
+    const provider = getProvider(bucketName);
     try {
-      const client = await getStorageClient();
-      
-      if (!client) {
-        logger.error('❌ Failed to get Cloud Storage client');
-        return { 
-          success: false,
-          error: 'Storage client initialization failed'
-        };
-      }
+      logger.info(`🗑️ Deleting file ${provider.name}:${bucketName}/${fileName}`);
       
-      logger.info(`🗑️ Deleting file ${bucketName}/${fileName}`);
-      
-      const bucket = client.bucket(bucketName);
-      const file = bucket.file(fileName);
-      
-      await file.delete();
+      await provider.delete(bucketName, fileName);
+      invalidateStats(provider, bucketName);
       
       logger.info(`✅ File deleted successfully`);
       return {
@@ -451,6 +1099,7 @@ const cloudStorageService = {
       logger.error(error.stack);
       return {
         success: false,
+        invalid: error.status === 400,
         error: error.message
       };
     }
@@ -465,20 +1114,12 @@ const createApiRouter = require('../../utils/route-template');
 const cloudStorageService = require('../../utils/cloud-storage/storage-service');
 const logger = require('../../utils/logger');
 const config = require('../../config/bigquery'); // Reuse existing config for now
-const multer = require('multer');
+const busboy = require('busboy');
 const path = require('path');
-const fs = require('fs');
+const { pipeline } = require('stream/promises');
 
-// Configure multer for file uploads
-const upload = multer({
-  dest: 'uploads/',
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
-
-// Create uploads directory if it doesn't exist
-if (!fs.existsSync('uploads/')) {
-  fs.mkdirSync('uploads/', { recursive: true });
-}
+// Uploads stream from the request straight to storage – nothing is written to disk
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // 10MB limit
 
 // 🎯 Cloud Storage Route Handlers
 const cloudStorageHandlers = {
@@ -502,10 +1143,25 @@ const cloudStorageHandlers = {
   getBucketContents: async (req, res, next) => {
     const { bucketName } = req.params;
     const useRealData = req.query.useRealData === 'true' || req.query.useRealData === true;
+    const { prefix, delimiter, pageToken } = req.query;
+    
+    // pageSize is optional, but when given it must be a positive whole number
+    const pageSize = req.query.pageSize === undefined ? undefined : Number(req.query.pageSize);
+    if (pageSize !== undefined && !(Number.isInteger(pageSize) && pageSize > 0)) {
+      return res.status(400).json({ success: false, error: 'pageSize must be a positive integer' });
+    }
     
     try {
       logger.info(`📂 Getting contents for bucket: ${bucketName} (useRealData: ${useRealData})`);
-      const result = await cloudStorageService.getBucketContents(bucketName, useRealData);
+      const result = await cloudStorageService.getBucketContents(bucketName, useRealData, {
+        prefix,
+        delimiter,
+        pageToken,
+        pageSize
+      });
+      if (result.invalid) {
+        return res.status(400).json(result);
+      }
       logger.info(`📊 Contents retrieved for bucket ${bucketName} (isRealData: ${result.isRealData})`);
       
       res.json(result);
@@ -515,40 +1171,128 @@ const cloudStorageHandlers = {
     }
   },
   
-  uploadFile: async (req, res, next) => {
-    // multer middleware has already processed the file
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file provided' });
-    }
+  getBucketStats: async (req, res, next) => {
+    const { bucketName } = req.params;
+    const useRealData = req.query.useRealData === 'true' || req.query.useRealData === true;
+    const refresh = req.query.refresh === 'true';
     
+    try {
+      logger.info(`📊 Getting stats for bucket: ${bucketName} (useRealData: ${useRealData}, refresh: ${refresh})`);
+      const result = await cloudStorageService.getBucketStats(bucketName, useRealData, { refresh });
+      if (result.invalid) {
+        return res.status(400).json(result);
+      }
+      logger.info(`📊 Stats retrieved for bucket ${bucketName} (isRealData: ${result.isRealData}, cached: ${Boolean(result.cached)})`);
+      
+      res.json(result);
+    } catch (error) {
+      logger.error(`❌ Error fetching stats for bucket ${bucketName}`, error);
+      next(error);
+    }
+  },
+  
+  uploadFile: (req, res, next) => {
     const { bucketName } = req.params;
-    const destination = req.body.destination || path.basename(req.file.originalname);
     
+    let form;
     try {
-      logger.info(`📤 Processing upload to bucket: ${bucketName}`);
-      const result = await cloudStorageService.uploadFile(
-        bucketName, 
-        req.file.path, 
-        destination
-      );
+      form = busboy({ headers: req.headers, limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+    } catch (error) {
+      // Not a multipart request
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    // Form fields sent before the file part (the client sends destination first)
+    const fields = {};
+    let fileStream = null;
+    let upload = null;
+    let tooLarge = false;
+    let noDestination = false;
+    
+    form.on('field', (name, value) => {
+      fields[name] = value;
+    });
+    
+    form.on('file', (name, file, info) => {
+      if (name !== 'file' || upload || noDestination) {
+        file.resume();
+        return;
+      }
+      // The file goes to storage as it arrives, so where it goes must already be known –
+      // a destination field after the file is too late, and there's no fallback name
+      const destination = req.query.destination || fields.destination;
+      if (!destination) {
+        noDestination = true;
+        file.resume();
+        return;
+      }
+      fileStream = file;
+      // Browsers fall back to octet-stream for unknown types – let the provider guess from the name
+      const contentType = info.mimeType === 'application/octet-stream' ? undefined : info.mimeType;
       
-      // Clean up temp file after upload
-      fs.unlinkSync(req.file.path);
+      // Abort instead of storing a truncated object
+      file.on('limit', () => {
+        tooLarge = true;
+        file.destroy(new Error(`File exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB upload limit`));
+      });
       
-      if (result.success) {
-        res.json(result);
-      } else {
-        res.status(500).json(result);
+      logger.info(`📤 Processing upload to bucket: ${bucketName}`);
+      upload = cloudStorageService.uploadFile(bucketName, file, destination, { contentType });
+      
+      // A failed upload stops reading the file, which stalls the parser – stop feeding it and answer now
+      upload.then(result => {
+        if (!result.success) {
+          req.unpipe(form);
+          req.resume();
+          finish();
+        }
+      });
+    });
+    
+    let finished = false;
+    const finish = async (formError) => {
+      if (finished) return;
+      finished = true;
+      try {
+        if (!upload) {
+          const error = formError ? formError.message
+            : noDestination ? 'destination must be sent before the file (or as ?destination=)'
+            : 'No file provided';
+          return res.status(400).json({ success: false, error });
+        }
+        const result = await upload;
+        if (result.success) {
+          res.json(result);
+        } else {
+          res.status(tooLarge ? 413 : result.invalid ? 400 : 500).json(result);
+        }
+      } catch (error) {
+        logger.error(`❌ Error uploading file to bucket ${bucketName}`, error);
+        next(error);
       }
-    } catch (error) {
-      // Clean up temp file on error
-      if (req.file && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
+    };
+    
+    // A client that goes away mid-upload never ends the file stream – fail it so the
+    // provider drops what it stored so far and the upload settles
+    const abort = () => {
+      if (fileStream && !fileStream.readableEnded) {
+        fileStream.destroy(new Error('client aborted'));
       }
-      
-      logger.error(`❌ Error uploading file to bucket ${bucketName}`, error);
-      next(error);
-    }
+    };
+    req.on('aborted', abort);
+    req.on('close', () => {
+      if (!req.complete) abort();
+    });
+    
+    form.on('close', () => finish());
+    form.on('error', (error) => {
+      logger.error(`❌ Malformed upload to bucket ${bucketName}: ${error.message}`);
+      req.unpipe(form);
+      if (fileStream) fileStream.destroy(error);
+      finish(error);
+    });
+    
+    req.pipe(form);
   },
   
   downloadFile: async (req, res, next) => {
@@ -557,30 +1301,53 @@ const cloudStorageHandlers = {
     try {
       logger.info(`📥 Processing download from bucket: ${bucketName}, file: ${fileName}`);
       
-      // Create temp file path
-      const tempPath = path.join('uploads', path.basename(fileName));
+      const info = await cloudStorageService.statFile(bucketName, fileName);
+      if (!info.success) {
+        return res.status(info.notFound ? 404 : info.invalid ? 400 : 500).json(info);
+      }
+      const { file } = info;
       
-      const result = await cloudStorageService.downloadFile(
-        bucketName, 
-        fileName, 
-        tempPath
-      );
+      // Single byte ranges only; anything else gets the whole file, which HTTP allows
+      const ranges = req.range(file.size, { combine: true });
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${file.size}`);
+        return res.status(416).end();
+      }
+      const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
       
-      if (result.success) {
-        // Send file to client
-        res.download(tempPath, path.basename(fileName), (err) => {
-          // Clean up temp file after sending
-          if (fs.existsSync(tempPath)) {
-            fs.unlinkSync(tempPath);
-          }
-          
-          // Handle download errors
-          if (err) {
-            logger.error(`❌ Error sending file to client: ${err.message}`);
-          }
-        });
+      // Open the stream before any headers go out, so a failure can still answer with JSON
+      let stream = null;
+      if (req.method !== 'HEAD') {
+        const result = await cloudStorageService.downloadFile(bucketName, fileName, range || {});
+        if (!result.success) {
+          return res.status(result.invalid ? 400 : 500).json(result);
+        }
+        stream = result.stream;
+      }
+      
+      // attachment() sets Content-Type from the extension, so the stored type goes on afterwards;
+      // setHeader rather than res.set, which would append a charset to it
+      res.attachment(path.basename(fileName));
+      res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('Last-Modified', new Date(file.updated).toUTCString());
+      if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
       } else {
-        res.status(500).json(result);
+        res.setHeader('Content-Length', file.size);
+      }
+      
+      if (!stream) {
+        return res.end();
+      }
+      
+      try {
+        await pipeline(stream, res);
+      } catch (error) {
+        // Headers are gone by now – all we can do is drop the connection and log
+        logger.error(`❌ Error streaming file to client: ${error.message}`);
       }
     } catch (error) {
       logger.error(`❌ Error downloading file from bucket ${bucketName}`, error);
@@ -599,7 +1366,7 @@ const cloudStorageHandlers = {
       if (result.success) {
         res.json(result);
       } else {
-        res.status(500).json(result);
+        res.status(result.invalid ? 400 : 500).json(result);
       }
     } catch (error) {
       logger.error(`❌ Error deleting file from bucket ${bucketName}`, error);
@@ -612,7 +1379,8 @@ const cloudStorageHandlers = {
 module.exports = createApiRouter('cloud-storage', (router) => {
   router.get('/buckets', cloudStorageHandlers.getBuckets);
   router.get('/buckets/:bucketName', cloudStorageHandlers.getBucketContents);
-  router.post('/buckets/:bucketName/upload', upload.single('file'), cloudStorageHandlers.uploadFile);
+  router.get('/buckets/:bucketName/stats', cloudStorageHandlers.getBucketStats);
+  router.post('/buckets/:bucketName/upload', cloudStorageHandlers.uploadFile);
   router.get('/buckets/:bucketName/files/:fileName', cloudStorageHandlers.downloadFile);
   router.delete('/buckets/:bucketName/files/:fileName', cloudStorageHandlers.deleteFile);
   logger.info('☁️ Cloud Storage API routes initialized');
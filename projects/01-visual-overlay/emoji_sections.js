@@ -0,0 +1,108 @@
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *  🧭  Emoji section markers
+ *  • shared by map_project_functions.js and lint_emoji_sections.js
+ *  • a region opens and closes with a comment of the form
+ *        // 🟢 START: Imports 🟢
+ *        // 🔴 END: Imports 🔴
+ *    each marker repeats its own emoji on both sides, and the END
+ *    emoji is the partner of the START one (see EMOJI_PAIRS)
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
+
+/* ── constants ────────────────────────────────────────────── */
+const EMOJI_PAIRS = {            // START emoji → END emoji
+  '🟢': '🔴',                    // code
+  '🟦': '🟧',                    // configuration / routes
+  '🚨': '🛑'                     // error handling
+};
+const EMOJI        = '\\p{Extended_Pictographic}\\uFE0F?';
+const MARKER       = new RegExp(`^\\s*(${EMOJI})\\s*(START|END)\\s*:\\s*(.*?)\\s*(${EMOJI})?\\s*$`, 'u');
+const COMMENT_LINE = /^(\s*(?:\/\/+|\/\*+|\*|#|<!--)\s*)(.*?)(\s*(?:\*+\/|-->)?\s*)$/;
+
+/* ── parsing ──────────────────────────────────────────────── */
+/* comment text (no // or /* *\/) → { emoji, type, name, trailing } | null */
+function matchMarker (text) {
+  const m = MARKER.exec(text);
+  if (!m) return null;
+  return { emoji:strip(m[1]), type:m[2], name:m[3], trailing:m[4] ? strip(m[4]) : null };
+}
+function strip (emoji) { return emoji.replace(/\uFE0F/g, ''); }
+function markerText (emoji, type, name) { return `${emoji} ${type}: ${name} ${emoji}`; }
+
+/* plain source → [{ text, line }] for every single-line comment, in any of
+   // /* # <!-- styles – enough for markers without a full parser          */
+function commentLines (source) {
+  const out = [];
+  source.split(/\r?\n/).forEach((l, i) => {
+    const m = COMMENT_LINE.exec(l);
+    if (m) out.push({ text:m[2], line:i + 1 });
+  });
+  return out;
+}
+/* swap the comment text of one source line, keeping its indent and delimiters */
+function rewriteMarker (lineText, expected) {
+  const m = COMMENT_LINE.exec(lineText);
+  return m ? m[1] + expected + m[3] : lineText;
+}
+
+/* [{ text, line }] comments in source order →
+ *   sections: [{ name, emoji, start, end, depth, parent }]   (end null = never closed)
+ *   issues  : [{ line, kind, message, expected? }]
+ *  kinds: unopened · unclosed · nesting · name-mismatch · emoji-mismatch · unknown-emoji
+ *  expected, when set, is the marker text that would fix the line            */
+function buildSections (comments) {
+  const sections = [], issues = [], stack = [];
+  const issue = (line, kind, message, expected) => issues.push({ line, kind, message, ...(expected && { expected }) });
+
+  for (const { text, line } of comments) {
+    const mk = matchMarker(text);
+    if (!mk) continue;
+
+    if (mk.type === 'START') {
+      if (!EMOJI_PAIRS[mk.emoji])
+        issue(line, 'unknown-emoji', `START "${mk.name}" uses ${mk.emoji}; allowed: ${Object.keys(EMOJI_PAIRS).join(' ')}`);
+      if (mk.trailing && mk.trailing !== mk.emoji)
+        issue(line, 'emoji-mismatch', `START "${mk.name}" opens with ${mk.emoji} but closes with ${mk.trailing}`,
+              markerText(mk.emoji, 'START', mk.name));
+      const sec = { name:mk.name, emoji:mk.emoji, start:line, end:null,
+                    depth:stack.length, parent:stack[stack.length - 1]?.name ?? null };
+      sections.push(sec);
+      stack.push(sec);
+      continue;
+    }
+
+    if (!stack.length) { issue(line, 'unopened', `END "${mk.name}" has no matching START`); continue; }
+    let at = stack.length - 1;
+    while (at >= 0 && stack[at].name !== mk.name) at--;
+    if (at < 0) {
+      at = stack.length - 1;
+      issue(line, 'name-mismatch', `END "${mk.name}" closes "${stack[at].name}" (opened on line ${stack[at].start})`,
+            endText(stack[at]));
+    }
+    while (stack.length - 1 > at) {
+      const open = stack.pop();
+      issue(open.start, 'nesting', `START "${open.name}" must close before END "${mk.name}" on line ${line}`);
+    }
+    const sec = stack.pop();
+    sec.end = line;
+    const want = EMOJI_PAIRS[sec.emoji];
+    if (want && mk.emoji !== want)
+      issue(line, 'emoji-mismatch', `END "${mk.name}" uses ${mk.emoji}, expected ${want} to close ${sec.emoji}`, endText(sec));
+    else if (mk.trailing && mk.trailing !== mk.emoji)
+      issue(line, 'emoji-mismatch', `END "${mk.name}" opens with ${mk.emoji} but closes with ${mk.trailing}`, endText(sec));
+  }
+  for (const open of stack) issue(open.start, 'unclosed', `START "${open.name}" is never closed`);
+  issues.sort((a, b) => a.line - b.line);
+  return { sections, issues };
+}
+function endText (sec) { return markerText(EMOJI_PAIRS[sec.emoji] ?? sec.emoji, 'END', sec.name); }
+
+/* innermost section enclosing a line, as "Outer › Inner" – or null */
+function sectionAt (sections, line) {
+  const path = sections
+    .filter(s => s.start < line && (s.end === null || s.end > line))
+    .sort((a, b) => a.depth - b.depth)
+    .map(s => s.name);
+  return path.length ? path.join(' › ') : null;
+}
+
+module.exports = { EMOJI_PAIRS, matchMarker, commentLines, rewriteMarker, buildSections, sectionAt };
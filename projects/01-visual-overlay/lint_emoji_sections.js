@@ -0,0 +1,115 @@
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *  🚦  Emoji Section Linter
+ *  • checks the // 🟢 START: … 🟢 / // 🔴 END: … 🔴 convention
+ *    (see js-event-bus/interaction-example.js): START/END pairs,
+ *    matching names, 🟢/🔴 · 🟦/🟧 · 🚨/🛑 and no crossed nesting
+ *  • --fix rewrites END markers whose name or emoji is wrong
+ *  • prints file:line:col: severity: message (rule) – the format
+ *    editors' problem matchers and pre-commit hooks already read
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
+
+const path  = require('node:path');
+const fs    = require('node:fs');
+const chalk = require('chalk');
+const { commentLines, rewriteMarker, buildSections } = require('./emoji_sections');
+const { parseArgs, expand, exitWith } = require('./cli_helpers');
+
+/* ── constants ────────────────────────────────────────────── */
+const ROOT           = process.cwd();
+const DEFAULT_GLOB   = '**/*.{js,mjs,cjs,ts}';
+const DEFAULT_IGNORE = ['**/node_modules/**', '**/.git/**', '**/dist/**'];
+const FORMATS        = ['unix', 'json'];
+const EXIT           = { OK:0, ISSUES:1, ERROR:2 };     // eslint-style
+const SEVERITY       = {                                  // rule → severity
+  'unopened'      : 'error',
+  'unclosed'      : 'error',
+  'nesting'       : 'error',
+  'name-mismatch' : 'error',
+  'emoji-mismatch': 'error',
+  'unknown-emoji' : 'warning'
+};
+const CLI_FLAGS      = {
+  '--fix'    : { key:'fix' },
+  '--format' : { key:'format', arg:true },
+  '--ignore' : { key:'ignore', arg:true, list:true },
+  '--quiet'  : { key:'quiet' },
+  '--help'   : { key:'help' },
+  '-h'       : { key:'help' }
+};
+const USAGE = `Usage: node lint_emoji_sections.js [paths…] [options]
+
+  paths               files, directories or globs (default: .)
+                      directories are searched for ${DEFAULT_GLOB}
+  --fix               rewrite mismatched END markers (and START trailers) in place
+  --format <fmt>      ${FORMATS.join(' | ')} (default unix: file:line:col: severity: message (rule))
+  --ignore <globs>    comma-separated globs to skip (repeatable)
+  --quiet             report errors only
+  -h, --help          show this help
+
+Exit codes: ${EXIT.OK} clean · ${EXIT.ISSUES} issues remain · ${EXIT.ERROR} usage or I/O error`;
+
+/* ── bootstrap ────────────────────────────────────────────── */
+(async function () {
+  const args   = parseArgs(process.argv.slice(2), { flags:CLI_FLAGS, usage:USAGE });
+  if (args.help) { console.log(USAGE); process.exit(EXIT.OK); }
+  const format = args.format ?? 'unix';
+  if (!FORMATS.includes(format)) exitWith(`Unknown format "${format}" (${FORMATS.join(', ')})`, EXIT.ERROR);
+
+  const files = await expand(args._.length ? args._ : ['.'],
+                             { root:ROOT, glob:DEFAULT_GLOB, ignore:[...DEFAULT_IGNORE, ...(args.ignore ?? [])] });
+  if (!files.length) exitWith('No matching files found.', EXIT.ERROR);
+  const report = [];
+  let fixed = 0;
+  for (const file of files) {
+    const res = lintFile(file, args.fix);
+    fixed += res.fixed;
+    for (const i of res.issues) {
+      const severity = SEVERITY[i.kind] ?? 'error';
+      if (args.quiet && severity !== 'error') continue;
+      report.push({ file:path.relative(ROOT, file), line:i.line, column:i.column,
+                    severity, rule:i.kind, message:i.message, fixable:Boolean(i.expected) });
+    }
+  }
+
+  if (format === 'json') console.log(JSON.stringify(report, null, 2));
+  else report.forEach(r => console.log(`${r.file}:${r.line}:${r.column}: ${r.severity}: ${r.message} (${r.rule})`));
+
+  const errors = report.filter(r => r.severity === 'error').length;
+  const summary = `${files.length} files · ${errors} errors · ${report.length - errors} warnings` +
+                  (args.fix ? ` · ${fixed} markers fixed` : '');
+  console.error((report.length ? chalk.yellow : chalk.green)(summary));
+  process.exit(errors ? EXIT.ISSUES : EXIT.OK);
+})().catch(err => exitWith(err.message, EXIT.ERROR));
+
+/* ── lint / fix ───────────────────────────────────────────── *
+ *  --fix only touches lines whose issue carries an `expected`
+ *  marker; the file is then re-checked so the report shows what
+ *  is left (unclosed sections etc. need a human)                  */
+function lintFile (file, fix) {
+  let source = fs.readFileSync(file, 'utf8');
+  let fixed  = 0;
+  if (fix) {
+    const { issues } = buildSections(commentLines(source));
+    const patches = new Map(issues.filter(i => i.expected).map(i => [i.line, i.expected]));
+    if (patches.size) {
+      const eol   = source.includes('\r\n') ? '\r\n' : '\n';
+      const lines = source.split(/\r?\n/);
+      for (const [line, expected] of patches) {
+        const next = rewriteMarker(lines[line - 1], expected);
+        if (next !== lines[line - 1]) { lines[line - 1] = next; fixed++; }
+      }
+      source = lines.join(eol);
+      fs.writeFileSync(file, source);
+    }
+  }
+  const lines  = source.split(/\r?\n/);
+  const issues = buildSections(commentLines(source)).issues.map(i => ({
+    ...i, column:markerColumn(lines[i.line - 1])
+  }));
+  return { issues, fixed };
+}
+/* 1-based column of the marker's first emoji (or of the line start) */
+function markerColumn (text = '') {
+  const at = text.search(/\p{Extended_Pictographic}/u);
+  return (at < 0 ? 0 : at) + 1;
+}
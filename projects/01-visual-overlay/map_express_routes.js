@@ -0,0 +1,234 @@
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *  🛣️  Express Route Inventory
+ *  • statically finds every app.get('/about', …) / router.post(…)
+ *    and app.route('/x').get(…) registration – nothing is required
+ *    or run, so half-finished servers scan fine
+ *  • routers built through createApiRouter('cloud-storage', router
+ *    => …) get their /api/<name> prefix; app.use('/p', router) in
+ *    the same file adds a mount prefix
+ *  • per route: method, full path, prefix, middleware chain
+ *    (upload.single('file'), …), handler name, file:line
+ *  • emits csv, json or an OpenAPI 3 skeleton (json)
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
+
+const path      = require('node:path');
+const fs        = require('node:fs');
+const { parse } = require('@babel/parser');
+const traverse  = require('@babel/traverse').default;
+const chalk     = require('chalk');
+const { parseArgs, expand, csvRow, exitWith } = require('./cli_helpers');
+
+/* ── constants ────────────────────────────────────────────── */
+const ROOT           = process.cwd();
+const DEFAULT_GLOB   = '**/*.{js,mjs,cjs,ts}';
+const DEFAULT_IGNORE = ['**/node_modules/**', '**/.git/**', '**/dist/**'];
+const FORMATS        = ['csv', 'json', 'openapi'];
+const EXIT           = { OK:0, ERROR:1, NO_ROUTES:2, PARSE_ERRORS:3 };
+const METHODS        = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all'];
+const ROUTER_CTORS   = ['express', 'express.Router', 'Router'];   // calls that create an app / router
+const ROUTER_FACTORIES = {            // factory(name, router => …) → prefix of that router
+  createApiRouter: name => `/api/${name}`          // server/utils/route-template – clients fetch /api/<name>/…
+};
+const UPLOAD_CALLS   = ['single', 'array'];        // multer: upload.single('file') → multipart field
+const CSV_COLUMNS    = ['method','path','prefix','route','middleware','handler','file','line'];
+const CLI_FLAGS      = {
+  '--format' : { key:'format', arg:true },
+  '--out'    : { key:'out',    arg:true },
+  '--ignore' : { key:'ignore', arg:true, list:true },
+  '--title'  : { key:'title',  arg:true },
+  '--help'   : { key:'help' },
+  '-h'       : { key:'help' }
+};
+const USAGE = `Usage: node map_express_routes.js [paths…] [options]
+
+  paths               files, directories or globs (default: .)
+                      directories are searched for ${DEFAULT_GLOB}
+  --format <fmt>      ${FORMATS.join(' | ')} (default csv)
+  --out <file>        write there instead of stdout
+  --ignore <globs>    comma-separated globs to skip (repeatable)
+  --title <text>      OpenAPI info.title (default: the current directory name)
+  -h, --help          show this help
+
+Exit codes: ${EXIT.OK} ok · ${EXIT.ERROR} error · ${EXIT.NO_ROUTES} no routes found · ${EXIT.PARSE_ERRORS} written, some files failed to parse`;
+
+/* ── bootstrap ────────────────────────────────────────────── */
+(async function () {
+  const args   = parseArgs(process.argv.slice(2), { flags:CLI_FLAGS, usage:USAGE });
+  if (args.help) { console.log(USAGE); process.exit(EXIT.OK); }
+  const format = args.format ?? 'csv';
+  if (!FORMATS.includes(format)) exitWith(`Unknown format "${format}" (${FORMATS.join(', ')})`);
+
+  const files  = await expand(args._.length ? args._ : ['.'],
+                              { root:ROOT, glob:DEFAULT_GLOB, ignore:[...DEFAULT_IGNORE, ...(args.ignore ?? [])] });
+  if (!files.length) exitWith('No matching files found.', EXIT.NO_ROUTES);
+  const routes = [];
+  let failed = 0;
+  for (const file of files) {
+    const found = extractRoutes(fs.readFileSync(file, 'utf8'));
+    if (!found) { failed++; console.warn(chalk.yellow(`⚠️  skipped (parse error): ${path.relative(ROOT, file)}`)); continue; }
+    found.forEach(r => routes.push({ ...r, file:path.relative(ROOT, file) }));
+  }
+  if (!routes.length) exitWith('No route registrations found.', EXIT.NO_ROUTES);
+
+  const out = render(format, routes, args.title ?? path.basename(ROOT));
+  if (args.out) {
+    fs.writeFileSync(path.resolve(ROOT, args.out), out);
+    console.error(chalk.green(`✅ ${routes.length} routes from ${files.length} files → ${args.out}`));
+  } else process.stdout.write(out);
+  if (failed) exitWith(`${failed} of ${files.length} files could not be parsed.`, EXIT.PARSE_ERRORS);
+})().catch(err => exitWith(err.message));
+
+/* ── extraction ───────────────────────────────────────────── *
+ *  source → [{ method, path, prefix, route, middleware, handler,
+ *              uploads, line }]  or null when it does not parse.
+ *  Traversal runs without scope tracking: the concatenated server
+ *  artifacts redeclare names, which babel's scope crawl rejects    */
+function extractRoutes (code) {
+  let ast;
+  try { ast = parse(code, { sourceType:'unambiguous', errorRecovery:true, plugins:['typescript','jsx'] }); }
+  catch { return null; }
+
+  const found   = [];
+  const routers = new Set();                 // names bound to express() / Router()
+  const mounts  = new Map();                 // router name → prefix from app.use('/p', router)
+  const source  = node => code.slice(node.start, node.end).replace(/\s+/g, ' ');
+
+  traverse(ast, {
+    noScope: true,
+    VariableDeclarator ({node}) {
+      if (node.id.type === 'Identifier' && node.init?.type === 'CallExpression' &&
+          ROUTER_CTORS.includes(calleeName(node.init))) routers.add(node.id.name);
+    },
+    CallExpression: { exit (p) {              // on exit, so app.route(…).get(…).put(…) lists in source order
+      const { node } = p;
+      const callee = node.callee;
+      if (callee.type !== 'MemberExpression' || callee.computed) return;
+      const method = callee.property.name;
+
+      if (method === 'use' && callee.object.type === 'Identifier') {
+        const [at, target] = node.arguments;
+        if (staticString(at) !== null && target?.type === 'Identifier') mounts.set(target.name, staticString(at));
+        return;
+      }
+      if (!METHODS.includes(method)) return;
+
+      /* app.route('/x').get(h).post(h2) – walk down to the .route() call */
+      let base = callee.object, args = node.arguments, route = null;
+      while (base.type === 'CallExpression' && base.callee.type === 'MemberExpression' &&
+             METHODS.includes(base.callee.property.name)) base = base.callee.object;
+      if (base.type === 'CallExpression' && base.callee.type === 'MemberExpression' &&
+          base.callee.property.name === 'route') {
+        route = staticString(base.arguments[0]);
+        base  = base.callee.object;
+      } else {
+        if (args.length < 2) return;             // app.get('env') reads a setting
+        route = staticString(args[0]);
+        args  = args.slice(1);
+      }
+      if (route === null || base.type !== 'Identifier' || !args.length) return;
+
+      const receiver = base.name;
+      const factory  = factoryPrefix(p, receiver);
+      if (factory === null && !routers.has(receiver)) return;
+
+      const handler = args[args.length - 1];
+      found.push({
+        method, route, receiver, factory,
+        middleware: args.slice(0, -1).map(source),
+        uploads   : args.slice(0, -1).map(uploadField).filter(Boolean),
+        handler   : handlerName(handler, source),
+        line      : node.loc.start.line
+      });
+    } }
+  });
+
+  return found.map(({ receiver, factory, ...r }) => {
+    const prefix = [mounts.get(receiver), factory].some(Boolean) ? joinPath(mounts.get(receiver), factory) : '';
+    return { method:r.method, path:joinPath(prefix, r.route), prefix, ...r };
+  });
+}
+
+/* prefix when `name` is the router parameter of a factory callback
+   around p, e.g. createApiRouter('x', (router) => { … }) – else null */
+function factoryPrefix (p, name) {
+  for (let fn = p.getFunctionParent(); fn; fn = fn.parentPath.getFunctionParent()) {
+    if (!fn.node.params.some(prm => prm.type === 'Identifier' && prm.name === name)) continue;
+    const call = fn.parentPath;
+    const make = call.isCallExpression() && ROUTER_FACTORIES[calleeName(call.node)];
+    const id   = make && staticString(call.node.arguments[0]);
+    return make && id != null ? make(id) : null;
+  }
+  return null;
+}
+
+/* ── helpers ──────────────────────────────────────────────── */
+function calleeName (call) {
+  const c = call.callee;
+  if (c.type === 'Identifier') return c.name;
+  if (c.type === 'MemberExpression' && !c.computed && c.object.type === 'Identifier') return `${c.object.name}.${c.property.name}`;
+  return null;
+}
+/* 'x' or `x` without interpolation → x, anything else → null */
+function staticString (node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && !node.expressions.length) return node.quasis[0].value.cooked;
+  return null;
+}
+function handlerName (node, source) {
+  if (node.type === 'Identifier' || node.type === 'MemberExpression') return source(node);
+  if (/Function|Arrow/.test(node.type)) return node.id?.name ?? '(inline)';
+  return source(node);                          // wrapped: asyncHandler(fn) etc.
+}
+/* upload.single('file') → 'file' */
+function uploadField (node) {
+  return node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+         UPLOAD_CALLS.includes(node.callee.property.name) ? staticString(node.arguments[0]) : null;
+}
+function joinPath (...parts) {
+  const joined = parts.filter(Boolean).join('/').replace(/\/{2,}/g, '/');
+  return (joined.startsWith('/') ? joined : `/${joined}`).replace(/(.)\/$/, '$1');
+}
+
+/* ── output ───────────────────────────────────────────────── */
+function render (format, routes, title) {
+  if (format === 'json') return JSON.stringify(routes, null, 2) + '\n';
+  if (format === 'openapi') return JSON.stringify(toOpenApi(routes, title), null, 2) + '\n';
+  const rows = [CSV_COLUMNS.join(',')];
+  routes.forEach(r => rows.push(csvRow([r.method.toUpperCase(), r.path, r.prefix, r.route,
+                                        r.middleware.join(' → '), r.handler, r.file, r.line])));
+  return rows.join('\n') + '\n';
+}
+
+/* OpenAPI 3 skeleton: one operation per route, path params declared,
+   multer uploads as multipart bodies; schemas and responses are left
+   for a human. `all` has no OpenAPI equivalent and is skipped        */
+function toOpenApi (routes, title) {
+  const paths = {}, taken = new Set();
+  for (const r of routes) {
+    if (r.method === 'all') continue;
+    const params = [...r.path.matchAll(/:(\w+)\??/g)].map(m => m[1]);
+    const key    = r.path.replace(/:(\w+)\??/g, '{$1}');
+    const op     = {
+      operationId: operationId(r, taken),
+      ...(r.prefix && { tags:[r.prefix.split('/').filter(Boolean).pop()] }),
+      summary    : r.handler,
+      ...(params.length && { parameters: params.map(name => ({ name, in:'path', required:true, schema:{ type:'string' } })) }),
+      ...(r.uploads.length && { requestBody: { content: { 'multipart/form-data': { schema: {
+        type:'object', properties:Object.fromEntries(r.uploads.map(f => [f, { type:'string', format:'binary' }]))
+      } } } } }),
+      responses  : { 200: { description:'OK' } },
+      'x-express': { file:r.file, line:r.line, middleware:r.middleware }
+    };
+    (paths[key] = paths[key] || {})[r.method] = op;
+  }
+  return { openapi:'3.0.3', info:{ title, version:'0.0.0' }, paths };
+}
+/* handler's last name segment, or method + path words; numbered when taken */
+function operationId (r, taken) {
+  const named = /^[\w$.]+$/.test(r.handler) && r.handler.split('.').pop();
+  let id = named || r.method + r.path.split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(w => w[0].toUpperCase() + w.slice(1)).join('');
+  for (let n = 2, base = id; taken.has(id); n++) id = `${base}${n}`;
+  taken.add(id);
+  return id;
+}
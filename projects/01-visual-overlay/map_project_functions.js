@@ -5,37 +5,146 @@
 
 /* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  *  🗺️  Function Map CLI
- *  • remembers your scan settings in .function-map-config.json
+ *  • remembers your scan settings in .function-map-config.json,
+ *    as named profiles (--profile) that can share excludes
  *  • lets you reuse / update them on every run
  *  • never overwrites a previous map – adds a timestamp
+ *  • runs unattended from hooks / CI via argv flags (see --help)
+ *  • records methods under qualified names (svc.getBuckets, Class.m)
+ *  • each row carries lines, kind, params, async and export status
+ *  • resolves call sites into a call graph (json / dot / mermaid)
+ *  • html format: one self-contained, searchable explorer page
+ *  • `diff` compares two saved maps (added / removed / moved / duplicated)
+ *  • `duplicates` groups repeated names – copy-paste vs. name collision
+ *  • `unused` lists never-referenced functions, exports and imports
+ *  • `matrix` scans several snapshot roots (master/, develop/, …)
+ *    into one function × snapshot table: present, missing, diverged
+ *  • caches parsed files by content hash; --watch keeps a live map
+ *  • stamps maps with git branch, HEAD and dirty state; --blame adds
+ *    each function's last commit and author
+ *  • tags functions with their emoji section (// 🟢 START: … 🟢) and
+ *    warns about unbalanced or mismatched markers
  *  Author: Trauco (trau.co) – 2025-04-23
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
 
 const path      = require('node:path');
 const fs        = require('node:fs');
+const crypto    = require('node:crypto');
+const { execFileSync } = require('node:child_process');
 const fg        = require('fast-glob');
 const inquirer  = require('inquirer');
 const { parse } = require('@babel/parser');
 const traverse  = require('@babel/traverse').default;
 const chalk     = require('chalk');
+const { buildSections, sectionAt } = require('./emoji_sections');
+const { parseArgs, splitList, csvRow, exitWith } = require('./cli_helpers');
 
 /* ── constants ────────────────────────────────────────────── */
 const ROOT          = process.cwd();
 const SCRIPT_DIR    = path.dirname(__filename);
 const CONFIG_FILE   = path.join(SCRIPT_DIR, '.function-map-config.json');
+const CACHE_FILE    = path.join(SCRIPT_DIR, '.function-map-cache.json');
+const CACHE_VERSION = 6;                // bump whenever the record shape changes
+const WATCH_DELAY   = 300;              // ms of quiet before a watch rescan
+const EXCERPT_LINES = 200;              // html: longest source excerpt embedded per function
 const DEFAULT_CFG   = {
   startDir: '.',                // relative to repo root
   pattern : '**/*.js',          // files to scan
   exclude : [],                 // additional ignore globs
-  format  : 'csv',              // json | csv
+  format  : 'csv',              // csv | json | dot | mermaid | html
   outBase : 'function-map'      // base filename (timestamp appended)
 };
 const DEFAULT_IGNORE = ['**/node_modules/**', '**/.git/**', '**/dist/**'];
+const DEFAULT_PROFILE = 'default';
+const FORMATS        = ['csv', 'json', 'dot', 'mermaid', 'html'];
+const FORMAT_EXT     = { mermaid:'mmd' };
+const EXIT           = { OK:0, ERROR:1, NO_FILES:2, PARSE_ERRORS:3 };
+const COMMANDS       = ['diff', 'duplicates', 'unused', 'matrix'];
+const REPORTS        = { duplicates:runDuplicates, unused:runUnused };   // (scan, cfg, args, format) → text
+const REPORT_FORMATS = ['text', 'md', 'json'];
+const CLI_FLAGS      = {            // flag → { key, takes a value?, repeatable list? }
+  '--start-dir' : { key:'startDir', arg:true },
+  '--pattern'   : { key:'pattern',  arg:true },
+  '--exclude'   : { key:'exclude',  arg:true, list:true },
+  '--format'    : { key:'format',   arg:true },
+  '--out-base'  : { key:'outBase',  arg:true },
+  '--use-config': { key:'useConfig' },
+  '--profile'   : { key:'profile',  arg:true },
+  '--no-cache'  : { key:'noCache' },
+  '--watch'     : { key:'watch' },
+  '--blame'     : { key:'blame' },
+  '--entry'     : { key:'entry',    arg:true, list:true },
+  '--yes'       : { key:'yes' },
+  '-y'          : { key:'yes' },
+  '--help'      : { key:'help' },
+  '-h'          : { key:'help' }
+};
+const USAGE = `Usage: node map_project_functions.js [options]
+       node map_project_functions.js diff [older newer] [--format text|md|json]
+       node map_project_functions.js duplicates [options] [--format text|md|json]
+       node map_project_functions.js unused [options] [--entry names] [--format text|md|json]
+       node map_project_functions.js matrix <roots…> [options] [--format text|md|json]
+
+  --start-dir <dir>   directory to scan, relative to the cwd
+  --pattern <glob>    files to scan (default ${DEFAULT_CFG.pattern})
+  --exclude <dirs>    comma-separated directories to skip (repeatable)
+  --format <fmt>      ${FORMATS.join(' | ')}
+  --out-base <name>   output filename base (timestamp appended)
+  --use-config        start from the saved profile instead of the defaults
+  --profile <name>    use (or, interactively, create) this named profile
+  --no-cache          re-parse every file, ignore ${path.basename(CACHE_FILE)}
+  --watch             keep running and rewrite <out-base>-live.<ext> on change
+  --blame             add each function's last commit, author and date (git blame)
+  -y, --yes           never prompt (implied when stdin is not a TTY)
+  -h, --help          show this help
+
+  diff compares two maps; without file arguments it picks the two most
+  recent <out-base>-<timestamp> maps of one format (csv or json) next to
+  this script
+
+  duplicates scans like a normal run but prints every name defined more
+  than once, split into identical bodies (copy-paste) and differing ones
+
+  unused lists functions nothing references, exports no other file uses
+  and require/import bindings never read; window.* globals and inline
+  on*="…" handlers count as entry points, --entry adds more
+
+  matrix scans each root (relative to --start-dir, globs like 'feature/*'
+  allowed) with the profile's pattern and excludes and tabulates every
+  function per root: A, B, … name its body variants, · means absent.
+  Roots nested in another listed root are left out of the outer scan
+
+Exit codes: ${EXIT.OK} ok · ${EXIT.ERROR} error · ${EXIT.NO_FILES} no files found · ${EXIT.PARSE_ERRORS} map written, some files failed to parse`;
 
 /* ── bootstrap ────────────────────────────────────────────── */
 (async function () {
-  const cfgOnDisk = loadConfig();
-  const cfg = await obtainConfig(cfgOnDisk);
+  const args = parseArgs(process.argv.slice(2), { flags:CLI_FLAGS, usage:USAGE, commands:COMMANDS });
+  if (args.help) { console.log(USAGE); process.exit(EXIT.OK); }
+  if (args._[0] === 'diff') return runDiff(args);
+  const matrix = args._[0] === 'matrix';
+  const report = REPORTS[args._[0]];                  // --format then picks the report format
+  const store = loadConfig();
+  const cfg = await obtainConfig(store, report || matrix ? { ...args, format:undefined } : args);
+  if (!report && !matrix && !FORMATS.includes(cfg.format)) exitWith(`Unknown format "${cfg.format}" (${FORMATS.join(', ')})`);
+  if ((report || matrix) && args.watch) exitWith('--watch only applies to map runs');
+  const cache = loadCache(!args.noCache);
+  if (matrix) return runMatrix(cfg, cache, args);
+  const res = await scan(cfg, cache);
+  const { files, failed, absStart } = res;
+  if (!files.length) exitWith('No matching source files found.', EXIT.NO_FILES);
+
+  if (report) {
+    const format = args.format ?? 'text';
+    if (!REPORT_FORMATS.includes(format)) exitWith(`Unknown report format "${format}" (${REPORT_FORMATS.join(', ')})`);
+    process.stdout.write(await report(res, cfg, args, format));
+  }
+  else writeMap(cfg, res, { live:args.watch, blame:args.blame });
+  if (args.watch) return watch(cfg, cache, absStart, res.fingerprint, args.blame);
+  if (failed) exitWith(`${failed} of ${files.length} files could not be parsed.`, EXIT.PARSE_ERRORS);
+})().catch(err => exitWith(err.message));
+
+/* ── scan ─────────────────────────────────────────────────── */
+async function scan (cfg, cache) {
   const absStart = path.resolve(ROOT, cfg.startDir);
 
   /* gather files */
@@ -44,86 +153,1301 @@ const DEFAULT_IGNORE = ['**/node_modules/**', '**/.git/**', '**/dist/**'];
     ignore: [...DEFAULT_IGNORE, ...cfg.exclude.map(d => `${d}/**`)],
     absolute: true
   });
-  if (!files.length) exitWith('No matching source files found.');
 
   /* parse & harvest functions */
-  const map = {};
-  for (const fp of files) parseFile(fp, map);
+  const acc = { map:{}, issues:[], usage:[] };
+  let failed = 0;
+  for (const fp of files) if (!parseFile(fp, acc, cache)) failed++;
+  saveCache(cache);
+  for (const i of acc.issues)
+    console.warn(chalk.yellow(`⚠️  section marker ${path.relative(ROOT, i.file)}:${i.line} – ${i.message}`));
+  const fingerprint = sha1(files.map(f => `${f}:${cache.files[f].hash}`).join('\n'));
+  return { files, failed, absStart, ...acc, fingerprint };
+}
 
-  /* write output */
-  const stamp   = new Date().toISOString().replace(/[-:]/g, '').replace('T','_').slice(0,15);
-  const outName = `${cfg.outBase}-${stamp}.${cfg.format}`;
+/* live → one <outBase>-live file that is rewritten, not a new timestamped map */
+function writeMap (cfg, { files, map, absStart, issues }, { live = false, blame = false } = {}) {
+  const stamp   = live ? 'live' : new Date().toISOString().replace(/[-:]/g, '').replace('T','_').slice(0,15);
+  const outName = `${cfg.outBase}-${stamp}.${FORMAT_EXT[cfg.format] ?? cfg.format}`;
   const outPath = path.join(SCRIPT_DIR, outName);
-  writeOutput(cfg.format, map, outPath, absStart);
+  const meta    = { schema:2, generatedAt:new Date().toISOString(), startDir:cfg.startDir,
+                    pattern:cfg.pattern, files:files.length, git:gitInfo(absStart), blame };
+  if (blame) blameFunctions(map);
+  writeOutput(cfg.format, { meta, map, graph:buildCallGraph(map), issues }, outPath, absStart);
   console.log(chalk.green(`✅  Map written → ${path.relative(ROOT, outPath)}`));
-})();
+}
+
+/* rescan on change; the cache makes that a re-parse of the touched files
+   only, and an unchanged fingerprint (e.g. our own output landing in the
+   watched tree) writes nothing                                          */
+function watch (cfg, cache, absStart, fingerprint, blame) {
+  let timer = null, last = fingerprint;
+  console.log(chalk.cyan(`👀  Watching ${path.relative(ROOT, absStart) || '.'} – Ctrl+C to stop`));
+  fs.watch(absStart, { recursive:true }, (_, filename) => {
+    if (filename && /(^|[\\/])(node_modules|\.git)([\\/]|$)/.test(filename)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => scan(cfg, cache).then(res => {
+      if (res.fingerprint === last) return;
+      last = res.fingerprint;
+      writeMap(cfg, res, { live:true, blame });
+    }).catch(err => console.error(chalk.red(err.message))), WATCH_DELAY);
+  });
+}
+
+/* ── git ──────────────────────────────────────────────────── *
+ *  best effort: outside a work tree, or without git on the PATH,
+ *  meta.git is null and --blame leaves the records as they are     */
+function git (cwd, ...argv) {
+  try { return execFileSync('git', argv, { cwd, encoding:'utf8', stdio:['ignore','pipe','ignore'], maxBuffer:256 << 20 }); }
+  catch { return null; }
+}
+/* dirty = uncommitted changes to tracked files, like `git describe --dirty`
+   (untracked files – our own maps among them – do not count)             */
+function gitInfo (dir) {
+  const head = git(dir, 'rev-parse', 'HEAD')?.trim();
+  if (!head) return null;
+  return { branch: git(dir, 'symbolic-ref', '--short', '-q', 'HEAD')?.trim() || null,   // null = detached
+           head,
+           dirty : Boolean(git(dir, 'status', '--porcelain', '--untracked-files=no')?.trim()) };
+}
+/* record.blame = the newest commit touching any line of the function;
+   one `git blame --porcelain` per file                                  */
+function blameFunctions (map) {
+  const files = new Map();
+  for (const recs of Object.values(map))
+    for (const r of recs) {
+      if (!files.has(r.file)) files.set(r.file, blameLines(r.file));
+      const lines = files.get(r.file);
+      let last = null;
+      for (let n = r.start; lines && n <= r.end; n++)
+        if (lines[n] && (!last || lines[n].time > last.time)) last = lines[n];
+      if (last) r.blame = { commit:last.commit, author:last.author,
+                            date:new Date(last.time * 1000).toISOString(), summary:last.summary };
+    }
+}
+/* file → sparse array, line number → { commit, author, time, summary } */
+function blameLines (file) {
+  const out = git(path.dirname(file), 'blame', '--porcelain', '--', path.basename(file));
+  if (!out) return null;
+  const commits = {}, lines = [];
+  let cur = null;
+  for (const l of out.split('\n')) {
+    const head = /^([0-9a-f]{40}) \d+ (\d+)/.exec(l);
+    if (head) { cur = commits[head[1]] = commits[head[1]] ?? { commit:head[1] }; lines[+head[2]] = cur; }
+    else if (l.startsWith('author '))      cur.author  = l.slice(7);
+    else if (l.startsWith('author-time ')) cur.time    = Number(l.slice(12));
+    else if (l.startsWith('summary '))     cur.summary = l.slice(8);
+  }
+  return lines;
+}
+
+/* ── cache ────────────────────────────────────────────────── *
+ *  { version, files: { absPath: { hash, defs, issues } } } – defs is null
+ *  for a file that failed to parse, so it is not retried until edited */
+function loadCache (enabled) {
+  const cache = { version:CACHE_VERSION, files:{}, enabled, dirty:false };
+  if (!enabled) return cache;               // still memoises within this run (--watch)
+  try {
+    const disk = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+    if (disk.version === CACHE_VERSION) cache.files = disk.files;
+  } catch { /* first run or unreadable – start empty */ }
+  return cache;
+}
+function saveCache (cache) {
+  if (!cache.enabled || !cache.dirty) return;
+  for (const f of Object.keys(cache.files)) if (!fs.existsSync(f)) delete cache.files[f];
+  fs.writeFileSync(CACHE_FILE, JSON.stringify({ version:cache.version, files:cache.files }));
+  cache.dirty = false;
+}
+function sha1 (s) { return crypto.createHash('sha1').update(s).digest('hex'); }
 
 /* ── helpers ──────────────────────────────────────────────── */
+/* only the scan settings, so flags can be laid over a saved config */
+function pickCfg (src) {
+  const cfg = {};
+  for (const k of Object.keys(DEFAULT_CFG)) if (src?.[k] !== undefined) cfg[k] = src[k];
+  return cfg;
+}
+
+/* ── profiles ─────────────────────────────────────────────── *
+ *  .function-map-config.json → { last, profiles: { name: cfg } }
+ *  a cfg may set excludeFrom: "<profile>" to prepend that profile's
+ *  (resolved) excludes to its own; a pre-profile flat config is read
+ *  as the "default" profile                                          */
 function loadConfig () {
-  try { return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')); }
-  catch { return null; }
+  let disk;
+  try { disk = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')); }
+  catch { return { last:null, profiles:{} }; }
+  if (!disk.profiles) return { last:DEFAULT_PROFILE, profiles:{ [DEFAULT_PROFILE]:pickCfg(disk) } };
+  return { last:disk.last ?? null, profiles:disk.profiles };
+}
+function saveConfig (store) { fs.writeFileSync(CONFIG_FILE, JSON.stringify(store, null, 2)); }
+
+function resolveProfile (store, name, seen = new Set()) {
+  const prof = store.profiles[name];
+  if (!prof) exitWith(`Profile "${name}" not found in ${path.basename(CONFIG_FILE)}`);
+  if (seen.has(name)) exitWith(`Profile "${name}" inherits excludes from itself (${[...seen, name].join(' → ')})`);
+  seen.add(name);
+  const inherited = prof.excludeFrom ? resolveProfile(store, prof.excludeFrom, seen).exclude : [];
+  return { ...DEFAULT_CFG, ...pickCfg(prof), exclude:[...new Set([...inherited, ...(prof.exclude ?? [])])] };
 }
 
-async function obtainConfig (existing) {
-  if (existing) {
+async function obtainConfig (store, args = {}) {
+  const flags = pickCfg(args);
+  /* unattended: flags over (saved profile | defaults), never prompt or save */
+  if (args.yes || args.useConfig || !process.stdin.isTTY) {
+    const useSaved = args.useConfig || args.profile;
+    if (useSaved && !Object.keys(store.profiles).length)
+      exitWith(`${args.profile ? '--profile' : '--use-config'} given but ${path.basename(CONFIG_FILE)} not found`);
+    const name = args.profile ?? store.last ?? DEFAULT_PROFILE;
+    return { ...DEFAULT_CFG, ...(useSaved ? resolveProfile(store, name) : {}), ...flags };
+  }
+
+  const pick = args.profile ? { name:args.profile, seed:store.profiles[args.profile] }
+                            : await profileMenu(store);
+  if (pick.seed && store.profiles[pick.name]) {
     const { mode } = await inquirer.prompt([{
       name: 'mode',
       type: 'list',
-      message: 'Config found – choose an option:',
-      choices: ['Use last config', 'Update config', 'Exit']
+      message: `Profile "${pick.name}" – choose an option:`,
+      choices: ['Use profile', 'Update profile', 'Exit']
     }]);
-    if (mode === 'Use last config') return existing;
+    if (mode === 'Use profile') {
+      store.last = pick.name; saveConfig(store);
+      return { ...resolveProfile(store, pick.name), ...flags };
+    }
     if (mode === 'Exit') process.exit(0);
   }
+  const existing = pick.seed ? { ...pick.seed, ...flags } : (Object.keys(flags).length ? flags : null);
+  const others   = Object.keys(store.profiles).filter(n => n !== pick.name);
+
   /* ask for new settings */
   const answers = await inquirer.prompt([
     { name:'startDir', message:'Start directory to scan (relative to repo root):',
       default: existing?.startDir ?? DEFAULT_CFG.startDir },
     { name:'pattern',  message:'File glob to scan:', default: existing?.pattern ?? DEFAULT_CFG.pattern },
     { name:'exclude',  message:'Directories to exclude (comma-separated):',
-      filter: i => i.split(',').map(s=>s.trim()).filter(Boolean),
+      filter: splitList,
       default: (existing?.exclude ?? []).join(',') },
-    { name:'format',   type:'list', message:'Output format:', choices:['csv','json'],
+    { name:'excludeFrom', type:'list', message:'Also inherit the excludes of:',
+      when: () => others.length > 0,
+      choices: [{ name:'(none)', value:null }, ...others],
+      default: existing?.excludeFrom ?? null },
+    { name:'format',   type:'list', message:'Output format:', choices:FORMATS,
       default: existing?.format ?? DEFAULT_CFG.format },
     { name:'outBase',  message:'Output filename base (timestamp appended):',
       default: existing?.outBase ?? DEFAULT_CFG.outBase },
-    { name:'save',     type:'confirm', message:'Save as default config?', default:true }
+    { name:'save',     type:'confirm', message:`Save as profile "${pick.name}"?`, default:true }
   ]);
-  const cfg = { startDir:answers.startDir, pattern:answers.pattern,
-                exclude:answers.exclude, format:answers.format, outBase:answers.outBase };
-  if (answers.save) fs.writeFileSync(CONFIG_FILE, JSON.stringify(cfg,null,2));
-  return cfg;
+  const prof = { startDir:answers.startDir, pattern:answers.pattern,
+                 exclude:answers.exclude, format:answers.format, outBase:answers.outBase };
+  if (answers.excludeFrom) prof.excludeFrom = answers.excludeFrom;
+  const draft = { ...store, profiles:{ ...store.profiles, [pick.name]:prof } };
+  if (answers.save) { draft.last = pick.name; saveConfig(draft); }
+  return resolveProfile(draft, pick.name);
+}
+
+/* pick / create / clone / delete – resolves to { name, seed } where seed
+   is the stored profile to start from (null for a brand-new one)        */
+async function profileMenu (store) {
+  for (;;) {
+    const names = Object.keys(store.profiles);
+    if (!names.length) return { name:DEFAULT_PROFILE, seed:null };
+    const { choice } = await inquirer.prompt([{
+      name: 'choice',
+      type: 'list',
+      message: 'Config found – choose a profile:',
+      default: Math.max(0, names.indexOf(store.last)),
+      choices: [
+        ...names.map(n => ({ name:`${n}  ${chalk.dim(store.profiles[n].startDir ?? '')}`, value:`use:${n}` })),
+        new inquirer.Separator(),
+        { name:'Create profile', value:'create' },
+        { name:'Clone profile',  value:'clone' },
+        { name:'Delete profile', value:'delete' },
+        { name:'Exit',           value:'exit' }
+      ]
+    }]);
+    if (choice.startsWith('use:')) { const name = choice.slice(4); return { name, seed:store.profiles[name] }; }
+    if (choice === 'exit') process.exit(0);
+
+    const from = choice === 'create' ? null : (await inquirer.prompt([{
+      name:'from', type:'list', choices:names,
+      message: choice === 'clone' ? 'Profile to clone:' : 'Profile to delete:'
+    }])).from;
+
+    if (choice === 'delete') {
+      const { sure } = await inquirer.prompt([{ name:'sure', type:'confirm', default:false,
+        message:`Delete profile "${from}"?` }]);
+      if (!sure) continue;
+      delete store.profiles[from];
+      for (const p of Object.values(store.profiles)) if (p.excludeFrom === from) delete p.excludeFrom;
+      if (store.last === from) store.last = null;
+      saveConfig(store);
+      continue;
+    }
+    const { name } = await inquirer.prompt([{ name:'name', message:'New profile name:',
+      validate: n => !n.trim() ? 'Name required' : store.profiles[n.trim()] ? 'Profile exists' : true,
+      filter: n => n.trim() }]);
+    return { name, seed:from ? { ...store.profiles[from] } : null };
+  }
 }
 
-function parseFile (absPath, map) {
+/* acc: map (name → records), issues (section markers), usage (per-file refs for `unused`) */
+function parseFile (absPath, acc, cache) {
   const code = fs.readFileSync(absPath, 'utf8');
+  const hash = sha1(code);
+  let entry  = cache.files[absPath];
+  if (entry?.hash !== hash) {
+    entry = cache.files[absPath] = { hash, ...(extractFile(code) ?? { defs:null }) };
+    cache.dirty = true;
+  }
+  if (!entry.defs) { console.warn(chalk.yellow(`⚠️  skipped (parse error): ${absPath}`)); return false; }
+  for (const { name, ...rec } of entry.defs) register(name, { file:absPath, ...rec }, acc.map);
+  for (const i of entry.issues) acc.issues.push({ file:absPath, ...i });
+  acc.usage.push({ file:absPath, ...entry.usage });
+  return true;
+}
+
+/* source → { defs: [{ name, start, end, … }], issues: [section marker problems],
+ *            usage: { refs: [[name, owner, segment?]], globals, handlers, unusedImports,
+ *                     imports: [[local, source, imported, whole, segment?]],
+ *                     exportPaths: [[name, path, segment?]], segmentPaths? } }
+ * or null when it does not parse. imports: a require / import binding, the
+ * export path it names (null = the whole module) and whether it is read as a
+ * value rather than only through .member chains; exportPaths: the path other
+ * modules reach each exported function by. Redeclarations are the one error
+ * let through: concatenated artifacts (several files pasted into one) are
+ * analysed file by file, see programSegments – their defs and refs carry
+ * the segment index, so `unused` treats each segment as a file of its own,
+ * and segmentPaths holds each one's "// path/to/file.js" header            */
+function extractFile (code) {
   let ast;
-  try { ast = parse(code, { sourceType:'unambiguous', plugins:['typescript','jsx'] }); }
-  catch { console.warn(chalk.yellow(`⚠️  skipped (parse error): ${absPath}`)); return; }
+  try { ast = parse(code, { sourceType:'unambiguous', errorRecovery:true, plugins:['typescript','jsx'] }); }
+  catch { return null; }
+  if (ast.errors.some(e => e.reasonCode !== 'VarRedeclaration')) return null;
+  const programs = ast.errors.length ? programSegments(ast) : [ast];
+  const { sections, issues } = buildSections(ast.comments.map(c => ({ text:c.value, line:c.loc.start.line })));
+  const owners   = new Map();                 // function node → its record
+  const defs     = [];
+  const refs     = new Map();                 // "name\0owner" → [name, owner]
+  const globals  = new Set();                 // X of window.X = …
+  const unusedImports = [], imports = [], exportPaths = [];
+  let segment    = programs.length > 1 ? 0 : undefined;
+  let exported;                               // root name → export path, per program
+  const addRef   = (p, name) => {
+    const owner = enclosingFunction(p, owners);
+    let prefix  = '';                       // "owner." for a function-local name
+    if (name.startsWith('this.') && owner?.kind === 'method')
+      name = owner.name.replace(/\.[^.]+$/, '') + name.slice(4);
+    else prefix = localName(p.scope, name, owners).slice(0, -name.length);
+    const parts = name.split('.');          // a.b.c also reads a and a.b
+    for (let i = 1; i <= parts.length; i++) {
+      const n = prefix + parts.slice(0, i).join('.');
+      refs.set(`${n}\0${owner?.name ?? ''}\0${segment ?? ''}`,
+               segment === undefined ? [n, owner?.name ?? null] : [n, owner?.name ?? null, segment]);
+    }
+  };
+  const checkImport = (p, source) => {
+    for (const [name, id] of Object.entries(p.getBindingIdentifiers())) {
+      const binding = p.scope.getBinding(name);
+      if (binding && !binding.referenced) unusedImports.push({ name, line:id.loc.start.line, source });
+    }
+  };
+  const addImport = (local, source, imported, whole) =>
+    imports.push([local, source, imported, whole, ...(segment === undefined ? [] : [segment])]);
+  /* bound to a name: whole unless every read is a plain .member access */
+  const addBinding = (p, local, source, imported, whole = false) => {
+    const reads = p.scope.getBinding(local)?.referencePaths ?? [];
+    addImport(local, source, imported,
+      whole || reads.some(r => !r.parentPath.isMemberExpression({ object:r.node, computed:false })));
+  };
+  const visitors = {
+    Function (p) {
+      const bare = functionName(p);
+      if (!bare) return;
+      const { node } = p;
+      const external = exportPath(bare, p, exported);
+      const rec = {
+        name    : localName(p.parentPath.scope, bare, owners),
+        start   : node.loc.start.line,
+        end     : node.loc.end.line,
+        kind    : functionKind(p),
+        params  : node.params.map(paramName),
+        async   : node.async,
+        exported: external !== null,
+        hash    : bodyHash(code, node, ast.comments),
+        section : sectionAt(sections, node.loc.start.line),
+        calls   : [],
+        ...(segment !== undefined && { segment })
+      };
+      owners.set(node, rec);
+      defs.push(rec);
+      if (rec.exported) exportPaths.push([rec.name, external, ...(segment === undefined ? [] : [segment])]);
+    },
+    'CallExpression|NewExpression' (p) {
+      /* require() not bound by a declarator (handed on as a value): the whole module is used */
+      const source = requireSource(p.node);
+      if (source) {
+        let top = p, member = [];
+        while (top.parentPath.isMemberExpression({ object:top.node, computed:false })) {
+          top = top.parentPath; member.push(top.node.property.name);
+        }
+        if (!top.parentPath.isVariableDeclarator({ init:top.node })) addImport(null, source, member.join('.') || null, true);
+      }
+      const owner = enclosingFunction(p, owners);
+      let callee  = owner && memberName(p.node.callee);
+      if (!callee) return;
+      /* this.x() inside a method → Owner.x() */
+      if (callee.startsWith('this.') && owner.kind === 'method')
+        callee = owner.name.replace(/\.[^.]+$/, '') + callee.slice(4);
+      else callee = localName(p.scope, callee, owners);
+      if (!owner.calls.includes(callee)) owner.calls.push(callee);
+    },
+    ReferencedIdentifier (p) {
+      if (p.parentPath.isMemberExpression({ object:p.node })) return;      // counted with the member chain
+      if (p.node.type === 'Identifier') addRef(p, p.node.name);
+    },
+    MemberExpression (p) {
+      if (p.parentPath.isMemberExpression({ object:p.node })) return;      // only the outermost a.b.c
+      if (p.parentPath.isAssignmentExpression({ left:p.node })) return;    // a write, not a read
+      const name = memberName(p.node);
+      if (name) addRef(p, name);
+    },
+    AssignmentExpression ({node}) {
+      const left = node.left;
+      if (left.type === 'MemberExpression' && left.object.type === 'Identifier' &&
+          GLOBAL_PREFIX.test(`${left.object.name}.`) && !left.computed)
+        globals.add(left.property.name);
+    },
+    ImportDeclaration (p) {
+      const source = p.node.source.value;
+      p.get('specifiers').forEach(sp => {
+        checkImport(sp, source);
+        const imported = sp.isImportSpecifier() ? (sp.node.imported.name ?? sp.node.imported.value)
+                       : sp.isImportDefaultSpecifier() ? 'default' : null;
+        addBinding(sp, sp.node.local.name, source, imported);
+      });
+    },
+    /* export … from: a read of the module that no binding shows */
+    'ExportNamedDeclaration|ExportAllDeclaration' ({ node }) {
+      if (!node.source) return;
+      if (!node.specifiers?.length) return addImport(null, node.source.value, null, true);
+      for (const sp of node.specifiers)
+        addImport(null, node.source.value, sp.local?.name ?? null, true);
+    },
+    VariableDeclarator (p) {
+      const source = requireSource(p.node.init);
+      if (!source) return;
+      checkImport(p, source);
+      const base = requireMember(p.node.init);
+      const join = key => [base, key].filter(Boolean).join('.') || null;
+      const { id } = p.node;
+      if (id.type === 'Identifier') return addBinding(p, id.name, source, join(''));
+      if (id.type !== 'ObjectPattern') return;
+      for (const pr of id.properties) {
+        if (pr.type === 'RestElement') { addBinding(p, pr.argument.name, source, join(''), true); continue; }
+        const local = pr.value.type === 'AssignmentPattern' ? pr.value.left : pr.value;
+        const key   = keyName(pr);
+        if (local.type === 'Identifier' && key) addBinding(p, local.name, source, join(key));
+      }
+    }
+  };
+  programs.forEach((prog, i) => {
+    if (segment !== undefined) segment = i;
+    exported = exportedNames(prog);
+    traverse(prog, visitors);
+  });
+  const usage = { refs:[...refs.values()], globals:[...globals], handlers:inlineHandlers(code), unusedImports,
+                  imports, exportPaths,
+                  ...(segment !== undefined && { segmentPaths:programs.map(prog => headerPath(prog.program.body[0])) }) };
+  return { defs, issues, usage };
+}
+/* a program that redeclares top-level names → one File node per pasted-in
+   file: a new segment starts at a "// path/to/file.js" header comment, or
+   where a name of the current one is declared again, pulled back over the
+   import / require lines just above it, so each file's imports are checked
+   against its own code only                                               */
+function programSegments (ast) {
+  const body = ast.program.body;
+  const starts = [0];
+  let names = new Set();
+  body.forEach((stmt, i) => {
+    const declared = declaredNames(stmt);
+    const header   = i > 0 && headerPath(stmt);
+    if (header || declared.some(n => names.has(n))) {
+      let start = i;
+      if (!header) while (start > starts[starts.length - 1] && isImportLine(body[start - 1])) start--;
+      if (start > starts[starts.length - 1]) starts.push(start);
+      names = new Set(body.slice(start, i).flatMap(declaredNames));
+    }
+    declared.forEach(n => names.add(n));
+  });
+  return starts.map((start, k) => ({
+    type:'File', comments:[], program:{ ...ast.program, body:body.slice(start, starts[k + 1]), directives:[] }
+  }));
+}
+/* "// server/utils/x.js" right above a statement → 'server/utils/x.js' */
+function headerPath (stmt) {
+  for (const c of stmt?.leadingComments ?? []) {
+    const m = c.type === 'CommentLine' && /^\s*((?:[\w.-]+\/)+[\w.-]+\.[cm]?[jt]sx?)\s*$/.exec(c.value);
+    if (m) return m[1];
+  }
+  return null;
+}
+/* top-level names a statement declares */
+function declaredNames (stmt) {
+  if (stmt.type === 'ExportNamedDeclaration' || stmt.type === 'ExportDefaultDeclaration')
+    return stmt.declaration ? declaredNames(stmt.declaration) : [];
+  if (stmt.type === 'ImportDeclaration') return stmt.specifiers.map(sp => sp.local.name);
+  if (stmt.type === 'VariableDeclaration') return stmt.declarations.flatMap(d => patternNames(d.id));
+  return /^(Function|Class)Declaration$/.test(stmt.type) && stmt.id ? [stmt.id.name] : [];
+}
+function patternNames (node) {
+  switch (node?.type) {
+    case 'Identifier'       : return [node.name];
+    case 'ObjectPattern'    : return node.properties.flatMap(pr => patternNames(pr.type === 'RestElement' ? pr.argument : pr.value));
+    case 'ArrayPattern'     : return node.elements.flatMap(patternNames);
+    case 'AssignmentPattern': return patternNames(node.left);
+    case 'RestElement'      : return patternNames(node.argument);
+    default                 : return [];
+  }
+}
+function isImportLine (stmt) {
+  return stmt.type === 'ImportDeclaration' ||
+         (stmt.type === 'VariableDeclaration' && stmt.declarations.every(d => requireSource(d.init)));
+}
+/* require('x').a.b → 'a.b' */
+function requireMember (init) {
+  const keys = [];
+  for (; init?.type === 'MemberExpression'; init = init.object)
+    keys.unshift(init.computed ? init.property.value : init.property.name);
+  return keys.join('.');
+}
+/* require('x'), require('x').y → 'x' */
+function requireSource (init) {
+  while (init?.type === 'MemberExpression') init = init.object;
+  return init?.type === 'CallExpression' && init.callee.name === 'require' &&
+         init.arguments[0]?.type === 'StringLiteral' ? init.arguments[0].value : null;
+}
+/* names called from on*="…" attributes, in html or in markup built inside js strings */
+function inlineHandlers (text) {
+  const names = new Set();
+  for (const [, , body] of text.matchAll(/\bon[a-z]+\s*=\s*(["'])(.*?)\1/g))
+    for (const [, callee] of body.matchAll(/([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*\(/g))
+      names.add(callee.replace(GLOBAL_PREFIX, ''));
+  return [...names];
+}
+
+/* nearest named function around a path – anonymous callbacks count toward it */
+function enclosingFunction (p, owners) {
+  for (let fp = p.getFunctionParent(); fp; fp = fp.parentPath.getFunctionParent())
+    if (owners.has(fp.node)) return owners.get(fp.node);
+  return null;
+}
+/* a name whose root is bound inside a named function → owner.name; top-level,
+   global and unbound names are left as they are                            */
+function localName (scope, name, owners) {
+  const bound = scope.getBinding(name.split('.')[0])?.scope.path;
+  const owner = bound && (owners.get(bound.node) ?? enclosingFunction(bound, owners));
+  return owner ? `${owner.name}.${name}` : name;
+}
+
+/* ── per-function details ─────────────────────────────────── */
+/* params + body with comments and whitespace squeezed out, so a copy
+   pasted under another name or indentation still hashes the same     */
+function bodyHash (code, node, comments) {
+  const from = node.params[0]?.start ?? node.body.start;
+  let src = '', at = from;
+  for (const c of comments) {
+    if (c.start < from || c.end > node.body.end) continue;
+    src += code.slice(at, c.start); at = c.end;
+  }
+  src += code.slice(at, node.body.end);
+  return sha1(src.replace(/\s+/g, ' ').trim()).slice(0, 12);
+}
+function functionKind (p) {
+  const { node } = p;
+  if (node.type === 'FunctionDeclaration') return 'declaration';
+  if (node.type === 'ArrowFunctionExpression') return 'arrow';
+  if (node.type !== 'FunctionExpression') return 'method';           // object / class methods
+  return p.parentPath.isObjectProperty() || p.parentPath.isClassProperty() ? 'method' : 'expression';
+}
+function paramName (node) {
+  switch (node.type) {
+    case 'Identifier':          return node.name;
+    case 'AssignmentPattern':   return paramName(node.left);
+    case 'RestElement':         return `...${paramName(node.argument)}`;
+    case 'TSParameterProperty': return paramName(node.parameter);
+    case 'ArrayPattern':        return `[${node.elements.filter(Boolean).map(paramName).join(', ')}]`;
+    case 'ObjectPattern':
+      return `{${node.properties.map(pr => pr.type === 'RestElement'
+        ? paramName(pr) : paramName(pr.value)).join(', ')}}`;
+    default:                    return '?';
+  }
+}
+
+/* top-level names a file hands out through export / module.exports →
+   the path an importer reaches them by ('' = the module itself):
+     module.exports = svc          svc → ''
+     module.exports = { a, b:c }   a → 'a', c → 'b'
+     exports.x = y                 y → 'x'
+     export { f as g }             f → 'g'                                 */
+function exportedNames (ast) {
+  const names = new Map([['module.exports', ''], ['exports', '']]);
+  const add = (n, as) => n?.type === 'Identifier' && names.set(n.name, as ?? n.name);
   traverse(ast, {
-    FunctionDeclaration({node}) { if (node.id?.name) register(node.id.name, absPath, map); },
-    VariableDeclarator({node}) {
-      const init = node.init;
-      if (init && ['FunctionExpression','ArrowFunctionExpression'].includes(init.type) &&
-          node.id.type === 'Identifier')
-        register(node.id.name, absPath, map);
+    ExportNamedDeclaration ({node}) {
+      const d = node.declaration;
+      if (d?.id) add(d.id);
+      if (d?.declarations) d.declarations.forEach(v => add(v.id));
+      if (!node.source) node.specifiers.forEach(sp => add(sp.local, sp.exported.name ?? sp.exported.value));
+    },
+    ExportDefaultDeclaration ({node}) {
+      names.set('default', 'default');
+      add(node.declaration, 'default');
+      add(node.declaration.id, 'default');
+    },
+    AssignmentExpression ({node}) {
+      const left = memberName(node.left);
+      if (!left || !/^(module\.)?exports\b/.test(left)) return;
+      const key = left.replace(/^(module\.)?exports\.?/, '');
+      if (node.right.type === 'Identifier') add(node.right, key);
+      if (node.right.type === 'ObjectExpression')
+        node.right.properties.filter(pr => pr.type === 'ObjectProperty')
+          .forEach(pr => add(pr.value, [key, keyName(pr)].filter(Boolean).join('.')));
     }
   });
+  return names;
+}
+/* export path of a function, null when it is not exported */
+function exportPath (name, p, exported) {
+  if (p.parentPath.isExportDefaultDeclaration()) return 'default';
+  if (p.parentPath.isExportDeclaration() ||
+      p.parentPath.parentPath?.parentPath?.isExportNamedDeclaration()) return name;
+  const root = [...exported.keys()].filter(e => name === e || name.startsWith(`${e}.`))
+    .sort((a, b) => b.length - a.length)[0];
+  return root === undefined ? null : [exported.get(root), name.slice(root.length + 1)].filter(Boolean).join('.');
+}
+
+/* ── qualified names ──────────────────────────────────────── *
+ *  foo()                       → foo
+ *  class WindowManager { m() } → WindowManager.m
+ *  const svc = { get () {} }   → svc.get
+ *  window.ctl.onClick = fn     → ctl.onClick   (global prefix dropped)
+ *  module.exports = { x () {} } → module.exports.x
+ *  ctl = { init () { function load () {} } } → ctl.init.load
+ *                                 (bound inside a named function)
+ *  anonymous callbacks are not recorded                          */
+const GLOBAL_PREFIX = /^(window|globalThis|self)\./;
+
+function functionName (p) {
+  const { node } = p;
+  if (node.type === 'FunctionDeclaration')
+    return node.id?.name ?? (p.parentPath.isExportDefaultDeclaration() ? 'default' : null);
+  if (node.type === 'ObjectMethod')
+    return qualify(bindingName(p.parentPath), keyName(node));
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod')
+    return qualify(className(p.parentPath.parentPath), keyName(node));
+  return bindingName(p);                   // function / arrow expression
 }
-function register (name, file, map) {
-  (map[name] = map[name] || new Set()).add(file);
+
+/* name of whatever a value (function, object or class expression) is bound to */
+function bindingName (p) {
+  const parent = p.parentPath;
+  if (!parent) return null;
+  const pn = parent.node;
+  switch (pn.type) {
+    case 'VariableDeclarator':
+      return p.key === 'init' && pn.id.type === 'Identifier' ? pn.id.name : null;
+    case 'AssignmentExpression':
+      return p.key === 'right' ? memberName(pn.left) : null;
+    case 'ObjectProperty':
+      return p.key === 'value' ? qualify(bindingName(parent.parentPath), keyName(pn)) : null;
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+      return qualify(className(parent.parentPath.parentPath), keyName(pn));
+    case 'ExportDefaultDeclaration':
+      return 'default';
+    default:
+      return null;
+  }
 }
-function writeOutput (format, map, outPath, absStart) {
+function className (p) { return p.node.id?.name ?? bindingName(p); }
+
+function memberName (node) {
+  let name;
+  if (node.type === 'Identifier') name = node.name;
+  else if (node.type === 'ThisExpression') name = 'this';
+  else if (node.type === 'MemberExpression') {
+    const prop = node.computed
+      ? (node.property.type === 'StringLiteral' ? node.property.value : null)
+      : node.property.name;
+    const obj = memberName(node.object);
+    name = obj && prop ? `${obj}.${prop}` : null;
+  }
+  return name ? name.replace(GLOBAL_PREFIX, '').replace('.prototype.', '.') : null;
+}
+function keyName (node) {
+  const k = node.key;
+  if (node.computed) return ['StringLiteral','NumericLiteral'].includes(k.type) ? String(k.value) : null;
+  if (k.type === 'PrivateName') return `#${k.id.name}`;
+  return k.name ?? (k.value !== undefined ? String(k.value) : null);
+}
+function qualify (owner, key) { return owner && key ? `${owner}.${key}` : null; }
+
+function register (name, rec, map) {
+  (map[name] = map[name] || []).push(rec);
+}
+
+/* ── call graph ───────────────────────────────────────────── *
+ *  caller → callees, keeping only callees the map defines;
+ *  fn.call / fn.apply / fn.bind resolve to fn                    */
+function buildCallGraph (map) {
+  const graph = {};
+  for (const [caller, recs] of Object.entries(map)) {
+    const callees = new Set();
+    for (const r of recs) for (const c of r.calls) {
+      const target = resolveCallee(c, map);
+      if (target && target !== caller) callees.add(target);
+    }
+    if (callees.size) graph[caller] = [...callees].sort();
+  }
+  return graph;
+}
+function resolveCallee (callee, map) {
+  if (Object.hasOwn(map, callee)) return callee;
+  const bare = callee.replace(/\.(call|apply|bind)$/, '');
+  return bare !== callee && Object.hasOwn(map, bare) ? bare : null;
+}
+
+/* ── output ───────────────────────────────────────────────── *
+ *  json    → { meta, functions: { name: [ {file,start,end,kind,params,async,exported,hash,section,segment?,blame?} ] },
+ *              calls: { caller: [callee] }, sectionIssues: [ {file,line,kind,message} ] }
+ *              meta.git = { branch, head, dirty } | null
+ *  csv     → one row per definition, header + RFC 4180 quoting;
+ *            meta.git fills branch/head/dirty on every row (empty
+ *            outside a work tree), --blame appends the blame columns
+ *  dot     → Graphviz digraph of the call graph
+ *  mermaid → Mermaid flowchart of the call graph
+ *  html    → self-contained explorer: file tree, filter, source excerpts */
+const CSV_COLUMNS   = ['name','file','start','end','kind','params','async','exported','hash','section',
+                       'branch','head','dirty'];
+const BLAME_COLUMNS = ['commit','author','date','summary'];   // appended with --blame
+
+function writeOutput (format, { meta, map, graph, issues }, outPath, absStart) {
   const rel = p => path.relative(absStart, p);
   let out;
   if (format === 'json') {
-    const obj={}; for (const [fn,paths] of Object.entries(map)) obj[fn]=[...paths].map(rel);
-    out = JSON.stringify(obj,null,2);
+    const functions = {};
+    for (const [fn,recs] of Object.entries(map))
+      functions[fn] = recs.map(({ calls, ...r }) => ({ ...r, file:rel(r.file) }));
+    const sectionIssues = issues.map(i => ({ ...i, file:rel(i.file) }));
+    out = JSON.stringify({ meta, functions, calls:graph, sectionIssues }, null, 2);
+  } else if (format === 'dot') {
+    out = toDot(graph, map, rel);
+  } else if (format === 'mermaid') {
+    out = toMermaid(graph);
+  } else if (format === 'html') {
+    out = toHtml(meta, map, graph, rel);
   } else {
-    const rows=[]; for (const [fn,paths] of Object.entries(map))
-      paths.forEach(p=>rows.push(`${fn},${rel(p)}`));
-    out = rows.join('\n');
+    const rows = [[...CSV_COLUMNS, ...(meta.blame ? BLAME_COLUMNS : [])].join(',')];
+    const git  = [meta.git?.branch, meta.git?.head, meta.git?.dirty];
+    for (const [fn,recs] of Object.entries(map))
+      recs.forEach(r => rows.push(csvRow([fn, rel(r.file), r.start, r.end, r.kind,
+                                          r.params.join(', '), r.async, r.exported, r.hash, r.section, ...git,
+                                          ...(meta.blame ? BLAME_COLUMNS.map(c => r.blame?.[c]) : [])])));
+    out = rows.join('\n') + '\n';
   }
   fs.writeFileSync(outPath, out);
 }
-function exitWith (msg) { console.error(chalk.red(msg)); process.exit(1); }
+function graphNodes (graph) {
+  return [...new Set([...Object.keys(graph), ...Object.values(graph).flat()])].sort();
+}
+function toDot (graph, map, rel) {
+  const q = s => `"${s.replace(/["\\]/g, '\\$&')}"`;
+  const lines = ['digraph functionMap {', '  rankdir=LR;', '  node [shape=box, fontname="Helvetica"];'];
+  for (const n of graphNodes(graph)) {
+    const r = map[n][0];
+    lines.push(`  ${q(n)} [tooltip=${q(`${rel(r.file)}:${r.start}`)}];`);
+  }
+  for (const [from, tos] of Object.entries(graph))
+    tos.forEach(to => lines.push(`  ${q(from)} -> ${q(to)};`));
+  return lines.concat('}', '').join('\n');
+}
+function toMermaid (graph) {
+  const ids   = new Map(graphNodes(graph).map((n, i) => [n, `n${i}`]));
+  const lines = ['flowchart LR'];
+  for (const [n, id] of ids) lines.push(`  ${id}["${n.replace(/"/g, '#quot;')}"]`);
+  for (const [from, tos] of Object.entries(graph))
+    tos.forEach(to => lines.push(`  ${ids.get(from)} --> ${ids.get(to)}`));
+  return lines.concat('').join('\n');
+}
+
+/* ── html explorer ────────────────────────────────────────── *
+ *  data goes in as inline JSON; explorerApp below is stringified
+ *  into the page, so it must stay browser-only and self-contained  */
+function toHtml (meta, map, graph, rel) {
+  const sources = new Map();
+  const lines   = file => {
+    if (!sources.has(file)) {
+      try { sources.set(file, fs.readFileSync(file, 'utf8').split(/\r?\n/)); }
+      catch { sources.set(file, []); }
+    }
+    return sources.get(file);
+  };
+  const functions = [];
+  for (const [name, recs] of Object.entries(map))
+    for (const { calls, ...r } of recs) {
+      const last = Math.min(r.end, r.start + EXCERPT_LINES - 1);
+      functions.push({ name, ...r, file:rel(r.file), calls:graph[name] ?? [],
+                       src:lines(r.file).slice(r.start - 1, last).join('\n'), truncated:last < r.end });
+    }
+  functions.sort((a, b) => a.file.localeCompare(b.file) || a.start - b.start);
+  const data  = JSON.stringify({ meta, functions }).replace(/</g, '\\u003c');
+  const title = `Function map – ${meta.startDir}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${EXPLORER_CSS}</style>
+</head>
+<body>
+<header><strong>🗺️ ${escapeHtml(title)}</strong>
+  <span>${functions.length} functions · ${meta.files} files · ${escapeHtml(meta.generatedAt)}${
+    meta.git ? ` · ${escapeHtml(meta.git.branch ?? 'detached')} @ ${meta.git.head.slice(0, 7)}${meta.git.dirty ? ' (dirty)' : ''}` : ''
+  }</span></header>
+<main>
+  <nav id="tree"></nav>
+  <section id="list">
+    <input id="filter" type="search" placeholder="Filter functions… (name, file, param)" autofocus>
+    <div id="scope"></div>
+    <ul id="fns"></ul>
+  </section>
+  <article id="detail"><p class="hint">Pick a function to see its source.</p></article>
+</main>
+<script id="data" type="application/json">${data}</script>
+<script>(${explorerApp})();</script>
+</body>
+</html>
+`;
+}
+function escapeHtml (s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+}
+
+const EXPLORER_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.45 system-ui, sans-serif; color: #ddd; background: #16181d; height: 100vh; display: flex; flex-direction: column; }
+  header { padding: 8px 14px; background: #1f232b; border-bottom: 1px solid #333; display: flex; gap: 16px; align-items: baseline; }
+  header span { color: #888; }
+  main { flex: 1; display: grid; grid-template-columns: 260px 340px 1fr; min-height: 0; }
+  nav, section, article { overflow: auto; border-right: 1px solid #333; }
+  nav { padding: 6px 4px; }
+  nav details { margin-left: 10px; }
+  nav summary, nav .file { cursor: pointer; padding: 1px 4px; border-radius: 3px; white-space: nowrap; }
+  nav .file { margin-left: 22px; }
+  nav .sel { background: #2d4a6e; }
+  .count { color: #888; font-size: 11px; margin-left: 4px; }
+  #filter { width: 100%; padding: 8px; border: 0; border-bottom: 1px solid #333; background: #1f232b; color: inherit; font: inherit; position: sticky; top: 0; }
+  #scope { padding: 4px 8px; color: #888; font-size: 11px; }
+  #fns { list-style: none; margin: 0; padding: 0; }
+  #fns li { padding: 4px 8px; cursor: pointer; border-bottom: 1px solid #22262e; }
+  #fns li:hover, #fns li.sel { background: #243042; }
+  #fns .where { color: #888; font-size: 11px; }
+  .tag { font-size: 10px; padding: 0 4px; border-radius: 3px; background: #333; margin-left: 4px; }
+  article { padding: 10px 14px; }
+  article h2 { margin: 0 0 4px; font-size: 15px; }
+  article .meta { color: #888; margin-bottom: 8px; }
+  article a { color: #7fb2ff; cursor: pointer; }
+  pre { margin: 0; padding: 8px 0; background: #1b1e24; border-radius: 4px; overflow: auto; font: 12px/1.5 ui-monospace, monospace; }
+  pre .ln { display: inline-block; width: 48px; padding-right: 10px; text-align: right; color: #555; user-select: none; }
+  .k { color: #c792ea; } .s { color: #c3e88d; } .c { color: #676e95; font-style: italic; } .n { color: #f78c6c; }
+  .hint { color: #666; }
+`;
+
+function explorerApp () {
+  const { functions } = JSON.parse(document.getElementById('data').textContent);
+  const $ = id => document.getElementById(id);
+  const esc = s => String(s).replace(/[&<>"]/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;' })[c]);
+  let scope = '', current = null;
+
+  /* directory tree with per-directory counts */
+  const root = { dirs:{}, files:{}, count:0 };
+  for (const f of functions) {
+    const parts = f.file.split('/');
+    let node = root;
+    node.count++;
+    for (const d of parts.slice(0, -1)) {
+      node = node.dirs[d] = node.dirs[d] || { dirs:{}, files:{}, count:0 };
+      node.count++;
+    }
+    const leaf = parts[parts.length - 1];
+    node.files[leaf] = (node.files[leaf] || 0) + 1;
+  }
+  const count = n => '<span class="count">' + n + '</span>';
+  const renderDir = (node, prefix) =>
+    Object.keys(node.dirs).sort().map(d =>
+      '<details open><summary data-scope="' + esc(prefix + d + '/') + '">📁 ' + esc(d) + count(node.dirs[d].count) + '</summary>' +
+      renderDir(node.dirs[d], prefix + d + '/') + '</details>').join('') +
+    Object.keys(node.files).sort().map(f =>
+      '<div class="file" data-scope="' + esc(prefix + f) + '">📄 ' + esc(f) + count(node.files[f]) + '</div>').join('');
+  $('tree').innerHTML = '<div class="file sel" data-scope="" style="margin-left:0">All files' + count(root.count) + '</div>' +
+                        renderDir(root, '');
+  $('tree').addEventListener('click', e => {
+    const el = e.target.closest('[data-scope]');
+    if (!el) return;
+    if (el.tagName === 'SUMMARY' && el.dataset.scope === scope) return;   // second click just toggles
+    if (el.tagName === 'SUMMARY') e.preventDefault();
+    scope = el.dataset.scope;
+    document.querySelectorAll('#tree .sel').forEach(s => s.classList.remove('sel'));
+    el.classList.add('sel');
+    renderList();
+  });
+
+  /* function list, filtered as you type */
+  const matches = (f, q) => !q || [f.name, f.file, f.params.join(' ')].some(s => s.toLowerCase().includes(q));
+  const inScope = f => !scope || (scope.endsWith('/') ? f.file.startsWith(scope) : f.file === scope);
+  function renderList () {
+    const q = $('filter').value.trim().toLowerCase();
+    const shown = functions.map((f, i) => [f, i]).filter(([f]) => inScope(f) && matches(f, q));
+    $('scope').textContent = shown.length + ' of ' + functions.length + (scope ? ' in ' + scope : '');
+    $('fns').innerHTML = shown.map(([f, i]) =>
+      '<li data-i="' + i + '"' + (i === current ? ' class="sel"' : '') + '><strong>' + esc(f.name) + '</strong>' +
+      (f.async ? '<span class="tag">async</span>' : '') + (f.exported ? '<span class="tag">exported</span>' : '') +
+      '<div class="where">' + esc(f.file) + ':' + f.start + '</div></li>').join('');
+  }
+  $('filter').addEventListener('input', renderList);
+  $('fns').addEventListener('click', e => {
+    const li = e.target.closest('li');
+    if (li) show(Number(li.dataset.i));
+  });
+
+  /* detail pane with a small syntax highlighter */
+  const TOKEN = /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|('(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`)|\b(const|let|var|function|return|if|else|for|while|do|switch|case|break|continue|new|class|extends|async|await|try|catch|finally|throw|typeof|instanceof|in|of|this|null|undefined|true|false|import|export|from|default|yield|delete|void|static)\b|\b(\d+(?:\.\d+)?)\b/g;
+  function highlight (src) {
+    let out = '', last = 0, m;
+    TOKEN.lastIndex = 0;
+    while ((m = TOKEN.exec(src))) {
+      out += esc(src.slice(last, m.index)) +
+             '<span class="' + (m[1] ? 'c' : m[2] ? 's' : m[3] ? 'k' : 'n') + '">' + esc(m[0]) + '</span>';
+      last = m.index + m[0].length;
+    }
+    return out + esc(src.slice(last));
+  }
+  function show (i) {
+    const f = functions[i];
+    current = i;
+    const body = highlight(f.src).split('\n')
+      .map((l, n) => '<span class="ln">' + (f.start + n) + '</span>' + l).join('\n');
+    const calls = f.calls.map(c => '<a data-name="' + esc(c) + '">' + esc(c) + '</a>').join(', ') || '—';
+    $('detail').innerHTML =
+      '<h2>' + esc(f.name) + '(' + esc(f.params.join(', ')) + ')</h2>' +
+      '<div class="meta">' + esc(f.file) + ':' + f.start + '–' + f.end + ' · ' + f.kind +
+      (f.async ? ' · async' : '') + (f.exported ? ' · exported' : '') +
+      (f.section ? ' · section: ' + esc(f.section) : '') + '</div>' +
+      (f.blame ? '<div class="meta">last change: ' + esc(f.blame.commit.slice(0, 7)) + ' · ' + esc(f.blame.author) +
+        ' · ' + esc(f.blame.date.slice(0, 10)) + ' · ' + esc(f.blame.summary ?? '') + '</div>' : '') +
+      '<div class="meta">calls: ' + calls + '</div>' +
+      '<pre>' + body + (f.truncated ? '\n<span class="ln"></span><span class="c">… truncated</span>' : '') + '</pre>';
+    renderList();
+  }
+  $('detail').addEventListener('click', e => {
+    const a = e.target.closest('a[data-name]');
+    if (!a) return;
+    const i = functions.findIndex(f => f.name === a.dataset.name);
+    if (i >= 0) show(i);
+  });
+
+  renderList();
+}
+
+/* ── diff ─────────────────────────────────────────────────── *
+ *  reads any map this script has written – csv with or without a
+ *  header row, json with or without the { meta, functions } wrapper  */
+async function runDiff (args) {
+  const format = args.format ?? 'text';
+  if (!REPORT_FORMATS.includes(format)) exitWith(`Unknown diff format "${format}" (${REPORT_FORMATS.join(', ')})`);
+  const [older, newer] = args._.length === 3 ? args._.slice(1).map(f => path.resolve(ROOT, f))
+    : args._.length === 1 ? latestSnapshots(args.outBase ?? savedOutBase(args.profile))
+    : exitWith('diff takes either two map files or none');
+  const diff = diffSnapshots(loadSnapshot(older), loadSnapshot(newer));
+  const labels = [older, newer].map(f => path.relative(ROOT, f));
+  const render = { text:diffText, md:diffMarkdown, json:diffJson }[format];
+  process.stdout.write(render(diff, ...labels));
+}
+
+function savedOutBase (profile) {
+  const store = loadConfig();
+  const name  = profile ?? store.last;
+  return (name && store.profiles[name] ? resolveProfile(store, name) : DEFAULT_CFG).outBase;
+}
+/* the two newest maps of one format – a run may have written both a csv and
+   a json, and those two are the same snapshot; the format whose newest map
+   is the most recent wins                                                   */
+function latestSnapshots (outBase) {
+  const re = new RegExp(`^${outBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(\\d{8}_\\d{6})\\.(csv|json)$`);
+  const byExt = {};
+  for (const f of fs.readdirSync(SCRIPT_DIR)) {
+    const m = re.exec(f);
+    if (m) (byExt[m[2]] = byExt[m[2]] || []).push({ stamp:m[1], file:path.join(SCRIPT_DIR, f) });
+  }
+  const pairs = Object.values(byExt).filter(l => l.length >= 2)
+    .map(l => l.sort((a, b) => a.stamp.localeCompare(b.stamp)).slice(-2))
+    .sort((a, b) => a[1].stamp.localeCompare(b[1].stamp));
+  if (!pairs.length) exitWith(`Need two ${outBase}-<timestamp> maps of the same format in ${path.relative(ROOT, SCRIPT_DIR) || '.'} to diff`);
+  return pairs[pairs.length - 1].map(x => x.file);
+}
+
+/* snapshot → { name: [file, …] } */
+function loadSnapshot (file) {
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); }
+  catch { exitWith(`Cannot read map: ${file}`); }
+  const snap = {};
+  const add  = (name, f) => { const l = (snap[name] = snap[name] || []); if (!l.includes(f)) l.push(f); };
+  if (file.endsWith('.json')) {
+    const data = JSON.parse(text);
+    for (const [name, recs] of Object.entries(data.functions ?? data))
+      recs.forEach(r => add(name, typeof r === 'string' ? r : r.file));
+  } else {
+    const rows = parseCsv(text);
+    if (rows[0]?.[0] === 'name' && rows[0]?.[1] === 'file') rows.shift();
+    rows.forEach(([name, f]) => name && add(name, f));
+  }
+  return snap;
+}
+function parseCsv (text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (text[i + 1] === '"') { cell += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+function diffSnapshots (a, b) {
+  const diff = { added:[], removed:[], moved:[], duplicated:[] };
+  const same = (x, y) => x.length === y.length && x.every(f => y.includes(f));
+  for (const name of Object.keys(b).sort()) {
+    if (!a[name]) diff.added.push({ name, files:b[name] });
+    else if (!same(a[name], b[name])) diff.moved.push({ name, from:a[name], to:b[name] });
+    if (b[name].length > 1 && b[name].length > (a[name]?.length ?? 0))
+      diff.duplicated.push({ name, files:b[name] });
+  }
+  for (const name of Object.keys(a).sort())
+    if (!b[name]) diff.removed.push({ name, files:a[name] });
+  return diff;
+}
+
+function diffText (d, older, newer) {
+  const out = [chalk.bold(`Function map diff  ${older} → ${newer}`)];
+  const section = (title, items, paint, line) => {
+    out.push('', paint(`${title} (${items.length})`));
+    items.forEach(i => out.push(`  ${line(i)}`));
+  };
+  section('+ added',      d.added,      chalk.green,  i => `${chalk.green(i.name)}  ${chalk.dim(i.files.join(', '))}`);
+  section('- removed',    d.removed,    chalk.red,    i => `${chalk.red(i.name)}  ${chalk.dim(i.files.join(', '))}`);
+  section('→ moved',      d.moved,      chalk.yellow, i => `${chalk.yellow(i.name)}  ${chalk.dim(i.from.join(', '))} → ${i.to.join(', ')}`);
+  section('⧉ duplicated', d.duplicated, chalk.magenta,i => `${chalk.magenta(i.name)}  ${chalk.dim(i.files.join(', '))}`);
+  return out.join('\n') + '\n';
+}
+function diffMarkdown (d, older, newer) {
+  const code = s => `\`${s}\``;
+  const out  = [`# Function map diff`, '', `${code(older)} → ${code(newer)}`];
+  const table = (title, items, head, cells) => {
+    out.push('', `## ${title} (${items.length})`, '');
+    if (!items.length) { out.push('_none_'); return; }
+    out.push(`| ${head.join(' | ')} |`, `|${head.map(() => ' --- |').join('')}`);
+    items.forEach(i => out.push(`| ${cells(i).join(' | ')} |`));
+  };
+  const files = fs => fs.map(code).join(', ');
+  table('Added',      d.added,      ['Function','Files'],     i => [code(i.name), files(i.files)]);
+  table('Removed',    d.removed,    ['Function','Files'],     i => [code(i.name), files(i.files)]);
+  table('Moved',      d.moved,      ['Function','From','To'], i => [code(i.name), files(i.from), files(i.to)]);
+  table('Duplicated', d.duplicated, ['Function','Files'],     i => [code(i.name), files(i.files)]);
+  return out.join('\n') + '\n';
+}
+function diffJson (d, older, newer) { return JSON.stringify({ older, newer, ...d }, null, 2) + '\n'; }
+
+/* ── duplicates ───────────────────────────────────────────── *
+ *  every name defined more than once, its definitions grouped by
+ *  body hash: one variant = copy-paste, several = name collision    */
+function runDuplicates ({ map, absStart }, cfg, args, format) {
+  const groups = findDuplicates(map, p => path.relative(absStart, p));
+  const render = { text:dupText, md:dupMarkdown, json:g => JSON.stringify(g, null, 2) + '\n' }[format];
+  return render(groups);
+}
+
+function findDuplicates (map, rel) {
+  const groups = { identical:[], divergent:[] };
+  for (const [name, recs] of Object.entries(map)) {
+    if (recs.length < 2) continue;
+    const variants = {};
+    for (const r of recs) (variants[r.hash] = variants[r.hash] || []).push(`${rel(r.file)}:${r.start}`);
+    const entry = {
+      name,
+      definitions: recs.length,
+      files      : new Set(recs.map(r => r.file)).size,
+      variants   : Object.entries(variants).map(([hash, at]) => ({ hash, at }))
+                         .sort((a, b) => b.at.length - a.at.length)
+    };
+    groups[entry.variants.length === 1 ? 'identical' : 'divergent'].push(entry);
+  }
+  const order = (a, b) => b.definitions - a.definitions || a.name.localeCompare(b.name);
+  groups.identical.sort(order);
+  groups.divergent.sort(order);
+  return groups;
+}
+
+function dupText ({ identical, divergent }) {
+  const out = [];
+  out.push(chalk.bold.green(`⧉ identical bodies – extract to a shared util (${identical.length})`));
+  identical.forEach(g => out.push(`  ${chalk.green(g.name)} ×${g.definitions}  ${chalk.dim(g.variants[0].at.join(', '))}`));
+  out.push('', chalk.bold.yellow(`≠ same name, different body (${divergent.length})`));
+  divergent.forEach(g => {
+    out.push(`  ${chalk.yellow(g.name)} ×${g.definitions} in ${g.variants.length} variants`);
+    g.variants.forEach(v => out.push(`    ${chalk.dim(v.hash)}  ${v.at.join(', ')}`));
+  });
+  return out.join('\n') + '\n';
+}
+function dupMarkdown ({ identical, divergent }) {
+  const code = s => `\`${s}\``;
+  const out  = ['# Duplicate definitions', '', `## Identical bodies (${identical.length})`, ''];
+  if (!identical.length) out.push('_none_');
+  else {
+    out.push('| Function | Count | Locations |', '| --- | --- | --- |');
+    identical.forEach(g => out.push(`| ${code(g.name)} | ${g.definitions} | ${g.variants[0].at.map(code).join(', ')} |`));
+  }
+  out.push('', `## Same name, different body (${divergent.length})`, '');
+  if (!divergent.length) out.push('_none_');
+  else {
+    out.push('| Function | Variant | Locations |', '| --- | --- | --- |');
+    divergent.forEach(g => g.variants.forEach((v, i) =>
+      out.push(`| ${i ? '' : code(g.name)} | ${code(v.hash)} | ${v.at.map(code).join(', ')} |`)));
+  }
+  return out.join('\n') + '\n';
+}
+
+/* ── unused ───────────────────────────────────────────────── *
+ *  functions  – defined, not exported, never referenced except from
+ *               inside themselves
+ *  exports    – exported but not referenced from any other file, by
+ *               its own name or through the binding a relative
+ *               require / import gave it (see importedReads)
+ *  imports    – require / import bindings the file never reads
+ *  entry points (never reported): window.X members, names called from
+ *  on*="…" handlers in scanned js and in html under the start dir,
+ *  and --entry names                                                 */
+async function runUnused ({ map, usage, absStart }, cfg, args, format) {
+  const rel   = p => path.relative(absStart, p);
+  const html  = await fg('**/*.html', { cwd:absStart, absolute:true,
+                                        ignore:[...DEFAULT_IGNORE, ...cfg.exclude.map(d => `${d}/**`)] });
+  const entry = new Set([...(args.entry ?? []), ...usage.flatMap(u => u.handlers),
+                         ...html.flatMap(f => inlineHandlers(fs.readFileSync(f, 'utf8')))]);
+  const globals = new Set(usage.flatMap(u => u.globals));
+  const result  = findUnused(map, usage, entry, globals, rel);
+  const render  = { text:unusedText, md:unusedMarkdown, json:r => JSON.stringify(r, null, 2) + '\n' }[format];
+  return render(result);
+}
+
+function findUnused (map, usage, entry, globals, rel) {
+  const refs = new Map();                     // name → [{ file, owner, segment }]
+  for (const u of usage)
+    for (const [name, owner, segment = 0] of u.refs) {
+      if (!refs.has(name)) refs.set(name, []);
+      refs.get(name).push({ file:u.file, owner, segment });
+    }
+  const isEntry = name => entry.has(name) || [...globals].some(g => name === g || name.startsWith(`${g}.`));
+  /* a segment of a concatenated artifact counts as a file of its own */
+  const otherFile = (a, b) => a.file !== b.file || (a.segment ?? 0) !== (b.segment ?? 0);
+  const reads = importedReads(usage);
+  /* other modules reach an export through the binding they required it as:
+     svc.x() reads path x of that module, a binding used as a value reads
+     every path below it                                                   */
+  const readElsewhere = (r, name) => {
+    const u = usage.find(x => x.file === r.file);
+    const external = u.exportPaths.find(([n, , segment = 0]) => n === name && segment === (r.segment ?? 0))?.[1];
+    const got = reads.get(moduleKey(r.file, r.segment ?? 0));
+    return external !== undefined && Boolean(got) &&
+      (got.paths.has(external) || [...got.prefixes].some(pre => !pre || external === pre || external.startsWith(`${pre}.`)));
+  };
+
+  const out = { functions:[], exports:[], imports:[] };
+  for (const [name, recs] of Object.entries(map)) {
+    if (isEntry(name)) continue;
+    const uses = (refs.get(name) ?? []).filter(r => r.owner !== name);
+    for (const r of recs) {
+      const row = { name, file:rel(r.file), line:r.start, kind:r.kind };
+      if (!r.exported) { if (!uses.length) out.functions.push(row); continue; }
+      if (!uses.some(u => otherFile(u, r)) && !readElsewhere(r, name)) out.exports.push(row);
+    }
+  }
+  for (const u of usage)
+    for (const i of u.unusedImports) out.imports.push({ ...i, file:rel(u.file) });
+  const order = (a, b) => a.file.localeCompare(b.file) || a.line - b.line;
+  Object.values(out).forEach(list => list.sort(order));
+  return out;
+}
+
+/* module (file, segment) → { paths, prefixes } other modules read from it:
+   paths through .member chains on a binding, prefixes below which a
+   binding was used as a value (call, argument, spread, …). Only relative
+   specifiers are resolved – against the file, or a segment's header path  */
+const RESOLVE_EXT = ['', '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '/index.js', '/index.ts'];
+function moduleKey (file, segment) { return `${file}\0${segment}`; }
+function importedReads (usage) {
+  const byPath = new Map();                   // module path → key
+  const where  = (u, segment) => u.segmentPaths?.[segment]
+    ? path.join(path.dirname(u.file), u.segmentPaths[segment]) : u.file;
+  for (const u of usage)
+    for (let s = 0; s < (u.segmentPaths?.length ?? 1); s++) byPath.set(where(u, s), moduleKey(u.file, s));
+  const resolve = (from, source) => {
+    if (!source.startsWith('.')) return null;
+    const base = path.resolve(path.dirname(from), source);
+    return byPath.get(RESOLVE_EXT.map(ext => base + ext).find(f => byPath.has(f)));
+  };
+
+  const reads = new Map();
+  for (const u of usage)
+    for (const [local, source, imported, whole, segment = 0] of u.imports) {
+      const key = resolve(where(u, segment), source);
+      if (!key) continue;
+      if (!reads.has(key)) reads.set(key, { paths:new Set(), prefixes:new Set() });
+      const got = reads.get(key);
+      if (whole) got.prefixes.add(imported ?? '');
+      if (local === null) continue;
+      for (const [n, , s = 0] of u.refs)
+        if (s === segment && n.startsWith(`${local}.`))
+          got.paths.add([imported, n.slice(local.length + 1)].filter(Boolean).join('.'));
+    }
+  return reads;
+}
+
+function unusedText ({ functions, exports, imports }) {
+  const out = [];
+  const section = (title, items, paint, line) => {
+    if (out.length) out.push('');
+    out.push(paint(`${title} (${items.length})`));
+    items.forEach(i => out.push(`  ${line(i)}`));
+  };
+  section('✗ unreferenced functions', functions, chalk.bold.red,
+          i => `${chalk.red(i.name)}  ${chalk.dim(`${i.file}:${i.line}`)}`);
+  section('⇥ exports no other file uses', exports, chalk.bold.yellow,
+          i => `${chalk.yellow(i.name)}  ${chalk.dim(`${i.file}:${i.line}`)}`);
+  section('⊘ unused imports', imports, chalk.bold.magenta,
+          i => `${chalk.magenta(i.name)} ← '${i.source}'  ${chalk.dim(`${i.file}:${i.line}`)}`);
+  return out.join('\n') + '\n';
+}
+function unusedMarkdown ({ functions, exports, imports }) {
+  const code = s => `\`${s}\``;
+  const out  = ['# Unused code'];
+  const table = (title, items, head, cells) => {
+    out.push('', `## ${title} (${items.length})`, '');
+    if (!items.length) { out.push('_none_'); return; }
+    out.push(`| ${head.join(' | ')} |`, `|${head.map(() => ' --- |').join('')}`);
+    items.forEach(i => out.push(`| ${cells(i).join(' | ')} |`));
+  };
+  table('Unreferenced functions', functions, ['Function','Location','Kind'],
+        i => [code(i.name), code(`${i.file}:${i.line}`), i.kind]);
+  table('Exports no other file uses', exports, ['Function','Location','Kind'],
+        i => [code(i.name), code(`${i.file}:${i.line}`), i.kind]);
+  table('Unused imports', imports, ['Binding','Source','Location'],
+        i => [code(i.name), code(i.source), code(`${i.file}:${i.line}`)]);
+  return out.join('\n') + '\n';
+}
+
+/* ── matrix ───────────────────────────────────────────────── *
+ *  one scan per snapshot root, then name → per-root body hashes.
+ *  Variant letters are per row, in root order: A is the body the
+ *  first root that has the function uses                            */
+async function runMatrix (cfg, cache, args) {
+  const format = args.format ?? 'text';
+  if (!REPORT_FORMATS.includes(format)) exitWith(`Unknown report format "${format}" (${REPORT_FORMATS.join(', ')})`);
+  const base  = path.resolve(ROOT, cfg.startDir);
+  const roots = await snapshotRoots(base, args._.slice(1));
+  if (roots.length < 2) exitWith('matrix needs at least two snapshot roots');
+
+  const scans = [];
+  let failed = 0;
+  for (const root of roots) {
+    const nested = roots.filter(r => r !== root && r.startsWith(root + path.sep));
+    const res    = await scan({ ...cfg, startDir:path.relative(ROOT, root),
+                                exclude:[...cfg.exclude, ...nested.map(r => path.relative(root, r))] }, cache);
+    failed += res.failed;
+    scans.push({ root:path.relative(base, root) || '.', map:res.map, absStart:res.absStart });
+  }
+  const table  = buildMatrix(scans);
+  const render = { text:matrixText, md:matrixMarkdown, json:t => JSON.stringify(t, null, 2) + '\n' }[format];
+  process.stdout.write(render(table));
+  if (failed) exitWith(`${failed} files could not be parsed.`, EXIT.PARSE_ERRORS);
+}
+/* directories and globs (relative to base) → absolute dirs, in argument order */
+async function snapshotRoots (base, inputs) {
+  const roots = [];
+  for (const input of inputs) {
+    const abs = path.resolve(base, input);
+    const dirs = fs.statSync(abs, { throwIfNoEntry:false })?.isDirectory() ? [abs]
+      : (await fg(input, { cwd:base, onlyDirectories:true, absolute:true, ignore:DEFAULT_IGNORE })).sort();
+    if (!dirs.length) exitWith(`No snapshot root matches "${input}"`);
+    dirs.forEach(d => roots.includes(d) || roots.push(d));
+  }
+  return roots;
+}
+
+/* → { snapshots, summary, functions: [{ name, status, cells: { root: { variants, at } | null } }] }
+ *  status: same (everywhere, one body) · missing (absent somewhere) · diverged (bodies differ) */
+function buildMatrix (scans) {
+  const names = [...new Set(scans.flatMap(s => Object.keys(s.map)))].sort();
+  const functions = names.map(name => {
+    const letters = new Map();                // hash → A, B, …
+    const letter  = h => letters.get(h) ?? letters.set(h, String.fromCharCode(65 + letters.size)).get(h);
+    const cells   = {};
+    for (const { root, map, absStart } of scans) {
+      const recs = map[name];
+      cells[root] = recs ? { variants:[...new Set(recs.map(r => letter(r.hash)))],
+                             at:recs.map(r => `${path.relative(absStart, r.file)}:${r.start}`) } : null;
+    }
+    const status = letters.size > 1 ? 'diverged' : Object.values(cells).includes(null) ? 'missing' : 'same';
+    return { name, status, cells };
+  });
+  const rank = { diverged:0, missing:1, same:2 };
+  functions.sort((a, b) => rank[a.status] - rank[b.status] || a.name.localeCompare(b.name));
+  const summary = { functions:functions.length, same:0, missing:0, diverged:0 };
+  functions.forEach(f => summary[f.status]++);
+  return { snapshots:scans.map(s => s.root), summary, functions };
+}
+const cellText = c => c ? c.variants.join('/') : '·';
+
+function matrixText ({ snapshots, summary, functions }) {
+  const paint = { same:chalk.green, missing:chalk.yellow, diverged:chalk.red };
+  const nameW = Math.max(8, ...functions.map(f => f.name.length));
+  const colW  = snapshots.map(s => Math.max(s.length, 3));
+  const row   = (name, cells) => `${name.padEnd(nameW)}  ${cells.map((c, i) => c.padEnd(colW[i])).join('  ')}`;
+  const out   = [chalk.bold(row('function', snapshots))];
+  functions.forEach(f => out.push(paint[f.status](row(f.name, snapshots.map(s => cellText(f.cells[s]))) + `  ${f.status}`)));
+  out.push('', chalk.dim(`${summary.functions} functions · ${summary.same} same · ` +
+                         `${summary.missing} missing somewhere · ${summary.diverged} diverged`));
+  return out.join('\n') + '\n';
+}
+function matrixMarkdown ({ snapshots, summary, functions }) {
+  const code = s => `\`${s}\``;
+  const out  = ['# Function × snapshot matrix', '',
+                `${summary.functions} functions · ${summary.same} same · ${summary.missing} missing somewhere · ` +
+                `${summary.diverged} diverged. Letters name body variants per row; · = absent.`, '',
+                `| Function | ${snapshots.map(code).join(' | ')} | Status |`,
+                `| --- |${snapshots.map(() => ' :-: |').join('')} --- |`];
+  functions.forEach(f => out.push(`| ${code(f.name)} | ${snapshots.map(s => cellText(f.cells[s])).join(' | ')} | ${f.status} |`));
+  return out.join('\n') + '\n';
+}
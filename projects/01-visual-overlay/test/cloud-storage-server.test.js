@@ -0,0 +1,404 @@
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *  🧪  cloud_storage_feature/cloud-storage-server.js routes
+ *  • node --test test/            (from projects/01-visual-overlay)
+ *  • needs express, busboy, dotenv, @google-cloud/storage and the
+ *    @aws-sdk client-s3 / lib-storage packages resolvable
+ *    (NODE_PATH works) – skipped otherwise
+ *  • the artifact is split back into its server/… files in a temp
+ *    dir, with stand-ins for the app's logger, bigquery config and
+ *    route template, and mounted on an express app: BUCKET is
+ *    served by the local provider, S3_BUCKET by the s3 provider
+ *    talking to an in-process S3 stand-in
+ *  • listing pages come back with nextPageToken and, with a
+ *    delimiter, folders; the client walks them page by page
+ *  • bucket stats are cached for STORAGE_STATS_TTL seconds and
+ *    dropped by every upload and delete
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('node:path');
+const fs     = require('node:fs');
+const os     = require('node:os');
+const http   = require('node:http');
+
+/* ── constants ────────────────────────────────────────────── */
+const ARTIFACT  = path.join(__dirname, '..', 'cloud_storage_feature', 'cloud-storage-server.js');
+const DEPS      = ['express', 'busboy', 'dotenv', '@google-cloud/storage', '@aws-sdk/client-s3', '@aws-sdk/lib-storage'];
+const missing   = DEPS.filter(d => { try { require.resolve(d); return false; } catch { return true; } });
+const skip      = missing.length ? `missing ${missing.join(', ')}` : false;
+const BUCKET    = 'overlay-assets';
+const S3_BUCKET = 'overlay-media';
+const MB        = 1024 * 1024;
+
+/* the app files the artifact requires but does not contain */
+const STUBS = {
+  'server/utils/logger.js'        : `module.exports = { info () {}, warn () {}, error () {} };`,
+  'server/config/bigquery.js'     : `module.exports = {};`,
+  'server/utils/route-template.js': `const express = require('express');
+module.exports = (name, register) => { const router = express.Router(); register(router); return router; };`
+};
+
+/* ── helpers ──────────────────────────────────────────────── */
+/* artifact → <dir>/server/…, one file per "// server/…" header */
+function unpack (dir) {
+  const parts = fs.readFileSync(ARTIFACT, 'utf8').split(/^\/\/ (server\/\S+)\n/m);
+  const files = { ...STUBS };
+  for (let i = 1; i < parts.length; i += 2) files[parts[i]] = parts[i + 1];
+  for (const [rel, src] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive:true });
+    fs.writeFileSync(path.join(dir, rel), src);
+  }
+}
+
+/* express app on a free port; config is read once, when the routes load */
+async function serve (dir, env) {
+  Object.assign(process.env, env);
+  const express = require('express');
+  const app = express();
+  app.use('/api/cloud-storage', require(path.join(dir, 'server/routes/api/cloud-storage.js')));
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  return { server, base:`http://127.0.0.1:${server.address().port}/api/cloud-storage` };
+}
+
+/* ── S3 stand-in ──────────────────────────────────────────── *
+ *  path-style ListBuckets, ListObjectsV2 (prefix, delimiter,
+ *  paging), Head/Get (Range)/Put/DeleteObject and multipart
+ *  uploads over objects: Map<bucket, Map<key, { body, type, updated }>>;
+ *  signatures are not checked                                     */
+function xml (tag, inner) { return `<${tag}>${inner}</${tag}>`; }
+function escapeXml (s) { return String(s).replace(/[<>&'"]/g, c => `&#${c.charCodeAt(0)};`); }
+
+function fakeS3 () {
+  const buckets = new Map();
+  const pending = new Map();                  // uploadId → { parts: Map<number, Buffer> }
+  const stats   = { multipartUploads:0 };
+  let nextId = 1;
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body  = Buffer.concat(chunks);
+    const url   = new URL(req.url, 'http://s3');
+    const q     = url.searchParams;
+    const [, bucketName = '', ...rest] = url.pathname.split('/');
+    const key   = rest.map(decodeURIComponent).join('/');
+    const store = buckets.get(bucketName);
+    const send  = (status, payload = '', headers = {}) => {
+      res.writeHead(status, { 'Content-Type':'application/xml', ...headers });
+      res.end(payload);
+    };
+    const notFound = code => send(404, req.method === 'HEAD' ? '' : xml('Error', xml('Code', code)));
+
+    if (!bucketName) {
+      return send(200, xml('ListAllMyBucketsResult', xml('Buckets', [...buckets.keys()]
+        .map(name => xml('Bucket', xml('Name', name) + xml('CreationDate', new Date(0).toISOString()))).join(''))));
+    }
+    if (!store) return notFound('NoSuchBucket');
+
+    if (!key && req.method === 'GET') {
+      const prefix = q.get('prefix') ?? '', delimiter = q.get('delimiter');
+      const max    = Number(q.get('max-keys') ?? 1000);
+      const after  = q.has('continuation-token') ? Buffer.from(q.get('continuation-token'), 'base64url').toString() : '';
+      const entries = [];
+      for (const name of [...store.keys()].filter(k => k.startsWith(prefix)).sort()) {
+        const cut = delimiter ? name.indexOf(delimiter, prefix.length) : -1;
+        const folder = cut >= 0 ? name.slice(0, cut + delimiter.length) : null;
+        if (!folder) entries.push({ key:name });
+        else if (entries[entries.length - 1]?.key !== folder) entries.push({ key:folder, folder:true });
+      }
+      const left = entries.filter(e => e.key > after);
+      const page = left.slice(0, max);
+      const more = left.length > max;
+      return send(200, xml('ListBucketResult',
+        xml('Name', bucketName) + xml('Prefix', escapeXml(prefix)) + xml('KeyCount', page.length) +
+        xml('MaxKeys', max) + xml('IsTruncated', more) +
+        page.filter(e => !e.folder).map(e => xml('Contents', xml('Key', escapeXml(e.key)) +
+          xml('LastModified', store.get(e.key).updated) + xml('Size', store.get(e.key).body.length))).join('') +
+        page.filter(e => e.folder).map(e => xml('CommonPrefixes', xml('Prefix', escapeXml(e.key)))).join('') +
+        (more ? xml('NextContinuationToken', Buffer.from(page[page.length - 1].key).toString('base64url')) : '')));
+    }
+
+    if (req.method === 'POST' && q.has('uploads')) {
+      const uploadId = String(nextId++);
+      pending.set(uploadId, { parts:new Map(), type:req.headers['content-type'] });
+      return send(200, xml('InitiateMultipartUploadResult',
+        xml('Bucket', bucketName) + xml('Key', escapeXml(key)) + xml('UploadId', uploadId)));
+    }
+    if (q.has('uploadId')) {
+      const upload = pending.get(q.get('uploadId'));
+      if (!upload) return notFound('NoSuchUpload');
+      if (req.method === 'PUT') {
+        upload.parts.set(Number(q.get('partNumber')), body);
+        return send(200, '', { ETag:`"part-${q.get('partNumber')}"` });
+      }
+      pending.delete(q.get('uploadId'));
+      if (req.method === 'DELETE') return send(204);
+      const order = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>/g)].map(m => Number(m[1]));
+      store.set(key, { body:Buffer.concat(order.map(n => upload.parts.get(n))), type:upload.type,
+                       updated:new Date().toISOString() });
+      stats.multipartUploads++;
+      return send(200, xml('CompleteMultipartUploadResult',
+        xml('Bucket', bucketName) + xml('Key', escapeXml(key)) + xml('ETag', '"multipart"')));
+    }
+
+    const object = store.get(key);
+    if (req.method === 'PUT') {
+      store.set(key, { body, type:req.headers['content-type'], updated:new Date().toISOString() });
+      return send(200, '', { ETag:'"put"' });
+    }
+    if (!object) return notFound('NoSuchKey');
+    if (req.method === 'DELETE') { store.delete(key); return send(204); }
+
+    const headers = { 'Content-Type':object.type ?? 'application/octet-stream',
+                      'Last-Modified':new Date(object.updated).toUTCString(), ETag:'"object"' };
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range ?? '');
+    if (!range) return send(200, req.method === 'HEAD' ? '' : object.body,
+                            { ...headers, 'Content-Length':object.body.length });
+    const start = Number(range[1]);
+    const end   = Math.min(range[2] ? Number(range[2]) : Infinity, object.body.length - 1);
+    send(206, object.body.subarray(start, end + 1), { ...headers, 'Content-Length':end - start + 1,
+      'Content-Range':`bytes ${start}-${end}/${object.body.length}` });
+  });
+
+  return { server, buckets, stats };
+}
+
+/* poll until check() holds */
+async function waitFor (check, what, ms = 2000) {
+  for (const end = Date.now() + ms; !check(); await new Promise(resolve => setTimeout(resolve, 20)))
+    if (Date.now() > end) assert.fail(`timed out waiting for ${what}`);
+}
+
+function uploadForm (name, body) {
+  const form = new FormData();
+  form.append('file', new Blob([body]), name);
+  return form;
+}
+
+/* ── cases ────────────────────────────────────────────────── */
+test('cloud-storage routes', { skip }, async (t) => {
+  const dir     = fs.mkdtempSync(path.join(os.tmpdir(), 'cloud-storage-'));
+  const root    = path.join(dir, 'storage');
+  const outside = path.join(dir, 'secret.txt');
+  fs.mkdirSync(path.join(root, BUCKET), { recursive:true });
+  fs.writeFileSync(outside, 'keep out');
+  unpack(dir);
+  const s3 = fakeS3();
+  s3.buckets.set(S3_BUCKET, new Map());
+  await new Promise(resolve => s3.server.listen(0, '127.0.0.1', resolve));
+  const { server, base } = await serve(dir, {
+    STORAGE_PROVIDER:'local', STORAGE_LOCAL_ROOT:root, STORAGE_BUCKETS:`${S3_BUCKET}:s3`, STORAGE_STATS_TTL:'300',
+    S3_ENDPOINT:`http://127.0.0.1:${s3.server.address().port}`, S3_ACCESS_KEY_ID:'test', S3_SECRET_ACCESS_KEY:'test'
+  });
+  t.after(() => {
+    server.close(); s3.server.close();
+    fs.rmSync(dir, { recursive:true, force:true });
+  });
+
+  await t.test('local: names outside the bucket are refused with 400', async () => {
+    const escape = encodeURIComponent('../../secret.txt');
+    for (const method of ['GET', 'HEAD', 'DELETE']) {
+      const res = await fetch(`${base}/buckets/${BUCKET}/files/${escape}?useRealData=true`, { method });
+      assert.equal(res.status, 400, `${method} answered ${res.status}`);
+    }
+    const upload = await fetch(`${base}/buckets/${BUCKET}/upload?destination=${escape}`,
+                               { method:'POST', body:uploadForm('x.txt', 'overwritten') });
+    assert.equal(upload.status, 400);
+    assert.equal((await upload.json()).success, false);
+    assert.equal(fs.readFileSync(outside, 'utf8'), 'keep out');
+
+    for (const route of ['', '/stats']) {
+      const res = await fetch(`${base}/buckets/.hidden${route}?useRealData=true`);
+      assert.equal(res.status, 400, `GET /buckets/.hidden${route} answered ${res.status}`);
+      assert.equal((await res.json()).invalid, true);
+    }
+  });
+
+  await t.test('local: an upload the client aborts leaves no object behind', async () => {
+    const target   = path.join(root, BUCKET, 'partial.bin');
+    const boundary = 'abort-test';
+    const req = http.request(`${base}/buckets/${BUCKET}/upload?destination=partial.bin`, { method:'POST',
+      headers:{ 'Content-Type':`multipart/form-data; boundary=${boundary}` } });
+    req.on('error', () => {});                // the connection is dropped on purpose
+    req.write(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="partial.bin"\r\n` +
+              'Content-Type: application/octet-stream\r\n\r\n');
+    req.write(Buffer.alloc(256 * 1024, 'x'));
+    await waitFor(() => fs.existsSync(target) && fs.statSync(target).size > 0, 'the upload to start');
+    req.destroy();
+    await waitFor(() => !fs.existsSync(target), 'the partial object to be removed');
+  });
+
+  await t.test('local: an upload without a destination ahead of the file is refused', async () => {
+    const late = uploadForm('late.txt', 'late');
+    late.append('destination', 'notes/late.txt');
+    for (const body of [late, uploadForm('none.txt', 'none')]) {
+      const res = await fetch(`${base}/buckets/${BUCKET}/upload`, { method:'POST', body });
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, /destination/);
+    }
+    assert.deepEqual(fs.readdirSync(path.join(root, BUCKET)), []);
+  });
+
+  await t.test('local: lists with prefix and delimiter, one page at a time', async (t) => {
+    const keys = ['clips/intro.mp4', 'clips/outro.mp4', 'clips/raw/take1.mp4', 'logo.svg', 'themes/dark.css'];
+    for (const key of keys) {
+      fs.mkdirSync(path.dirname(path.join(root, BUCKET, key)), { recursive:true });
+      fs.writeFileSync(path.join(root, BUCKET, key), key);
+    }
+    t.after(() => ['clips', 'logo.svg', 'themes']
+      .forEach(entry => fs.rmSync(path.join(root, BUCKET, entry), { recursive:true, force:true })));
+
+    const get  = (query) => fetch(`${base}/buckets/${BUCKET}?useRealData=true&${query}`);
+    const list = async (query) => (await get(query)).json();
+    const all = await list('');
+    assert.equal(all.isRealData, true);
+    assert.deepEqual(all.files.map(f => f.name), keys);
+    assert.equal(all.nextPageToken, null);
+
+    const top = await list('delimiter=/');
+    assert.deepEqual(top.files.map(f => f.name), ['logo.svg']);
+    assert.deepEqual(top.folders, ['clips/', 'themes/']);
+    const clips = await list('prefix=clips/&delimiter=/');
+    assert.deepEqual(clips.files.map(f => f.name), ['clips/intro.mp4', 'clips/outro.mp4']);
+    assert.deepEqual(clips.folders, ['clips/raw/']);
+
+    // folders and objects share the page: clips/ + logo.svg, then themes/
+    let page = await list('delimiter=/&pageSize=2');
+    assert.deepEqual([page.folders, page.files.map(f => f.name)], [['clips/'], ['logo.svg']]);
+    assert.ok(page.nextPageToken);
+    page = await list(`delimiter=/&pageSize=2&pageToken=${encodeURIComponent(page.nextPageToken)}`);
+    assert.deepEqual([page.folders, page.files], [['themes/'], []]);
+    assert.equal(page.nextPageToken, null);
+
+    const names = [];
+    let token = '';
+    do {
+      page = await list(`pageSize=2${token && `&pageToken=${encodeURIComponent(token)}`}`);
+      assert.ok(page.files.length <= 2);
+      names.push(...page.files.map(f => f.name));
+      token = page.nextPageToken;
+    } while (token);
+    assert.deepEqual(names, keys);
+
+    for (const pageSize of ['0', '-1', '1.5', 'ten']) {
+      const res = await get(`pageSize=${pageSize}`);
+      assert.equal(res.status, 400, `pageSize=${pageSize} answered ${res.status}`);
+      assert.equal((await res.json()).error, 'pageSize must be a positive integer');
+    }
+  });
+
+  await t.test('local: stats cover the whole bucket and are cached until it changes', async (t) => {
+    const day   = n => new Date(Date.now() - n * 24 * 3600 * 1000);
+    const files = { 'notes.txt':[10, day(0)], 'img/big.bin':[2048, day(3)], 'img/icon.png':[5, day(30)] };
+    for (const [name, [size, time]] of Object.entries(files)) {
+      const file = path.join(root, BUCKET, name);
+      fs.mkdirSync(path.dirname(file), { recursive:true });
+      fs.writeFileSync(file, Buffer.alloc(size, 'x'));
+      fs.utimesSync(file, time, time);
+    }
+    t.after(() => ['notes.txt', 'img', 'added.txt']
+      .forEach(entry => fs.rmSync(path.join(root, BUCKET, entry), { recursive:true, force:true })));
+
+    const stats = async () => (await fetch(`${base}/buckets/${BUCKET}/stats?useRealData=true`)).json();
+    const first = await stats();
+    assert.equal(first.isRealData, true);
+    assert.equal(first.cached, false);
+    assert.equal(first.stats.totalFiles, 3);
+    assert.equal(first.stats.totalBytes, 2063);
+    assert.deepEqual(first.stats.prefixes, { 'img/':2, '(root)':1 });
+    assert.equal(first.stats.uploadsByDay.length, 7);
+    const byDay = Object.fromEntries(first.stats.uploadsByDay.map(d => [d.day, d.count]));
+    assert.equal(byDay[day(0).toISOString().slice(0, 10)], 1);
+    assert.equal(byDay[day(3).toISOString().slice(0, 10)], 1);
+    assert.equal(first.stats.uploadsByDay.reduce((sum, d) => sum + d.count, 0), 2);     // icon.png is older
+    assert.deepEqual(first.stats.largestFiles.map(f => [f.name, f.bytes]),
+                     [['img/big.bin', 2048], ['notes.txt', 10], ['img/icon.png', 5]]);
+
+    const again = await stats();
+    assert.equal(again.cached, true);
+    assert.equal(again.computedAt, first.computedAt);
+
+    const upload = await fetch(`${base}/buckets/${BUCKET}/upload?destination=added.txt`,
+                               { method:'POST', body:uploadForm('added.txt', 'twelve bytes') });
+    assert.equal(upload.status, 200);
+    const afterUpload = await stats();
+    assert.equal(afterUpload.cached, false);
+    assert.equal(afterUpload.stats.totalFiles, 4);
+    assert.equal((await stats()).cached, true);
+
+    const removed = await fetch(`${base}/buckets/${BUCKET}/files/added.txt`, { method:'DELETE' });
+    assert.equal(removed.status, 200);
+    const afterDelete = await stats();
+    assert.equal(afterDelete.cached, false);
+    assert.equal(afterDelete.stats.totalFiles, 3);
+  });
+
+  await t.test('s3: lists with prefix and delimiter, one page at a time', async () => {
+    const store = s3.buckets.get(S3_BUCKET);
+    for (const key of ['clips/intro.mp4', 'clips/outro.mp4', 'clips/raw/take1.mp4', 'logo.svg', 'themes/dark.css'])
+      store.set(key, { body:Buffer.from(key), updated:new Date().toISOString() });
+
+    const list = async (query) => (await fetch(`${base}/buckets/${S3_BUCKET}?useRealData=true&${query}`)).json();
+    const top = await list('delimiter=/');
+    assert.equal(top.isRealData, true);
+    assert.deepEqual(top.files.map(f => f.name), ['logo.svg']);
+    assert.equal(top.files[0].contentType, 'image/svg+xml');
+    assert.deepEqual(top.folders, ['clips/', 'themes/']);
+
+    const clips = await list('prefix=clips/&delimiter=/');
+    assert.deepEqual(clips.files.map(f => f.name), ['clips/intro.mp4', 'clips/outro.mp4']);
+    assert.deepEqual(clips.folders, ['clips/raw/']);
+
+    const names = [];
+    let page = await list('prefix=clips/&pageSize=2');
+    names.push(...page.files.map(f => f.name));
+    assert.ok(page.nextPageToken);
+    page = await list(`prefix=clips/&pageSize=2&pageToken=${encodeURIComponent(page.nextPageToken)}`);
+    names.push(...page.files.map(f => f.name));
+    assert.equal(page.nextPageToken, null);
+    assert.deepEqual(names, ['clips/intro.mp4', 'clips/outro.mp4', 'clips/raw/take1.mp4']);
+  });
+
+  await t.test('s3: range reads answer 206 with just those bytes', async () => {
+    s3.buckets.get(S3_BUCKET).set('notes/range.txt',
+      { body:Buffer.from('0123456789'), type:'text/plain', updated:new Date().toISOString() });
+    const url = `${base}/buckets/${S3_BUCKET}/files/${encodeURIComponent('notes/range.txt')}`;
+
+    const part = await fetch(url, { headers:{ Range:'bytes=2-5' } });
+    assert.equal(part.status, 206);
+    assert.equal(part.headers.get('content-range'), 'bytes 2-5/10');
+    assert.equal(await part.text(), '2345');
+
+    const tail = await fetch(url, { headers:{ Range:'bytes=7-' } });
+    assert.equal(tail.status, 206);
+    assert.equal(await tail.text(), '789');
+
+    const whole = await fetch(url);
+    assert.equal(whole.status, 200);
+    assert.equal(whole.headers.get('content-type'), 'text/plain');
+    assert.equal(await whole.text(), '0123456789');
+
+    assert.equal((await fetch(url, { headers:{ Range:'bytes=20-30' } })).status, 416);
+    assert.equal((await fetch(`${base}/buckets/${S3_BUCKET}/files/missing.txt`)).status, 404);
+  });
+
+  await t.test('s3: uploads past one part go up as a multipart upload', async () => {
+    const body = Buffer.alloc(6 * MB, 'abcdefgh');
+    const res  = await fetch(`${base}/buckets/${S3_BUCKET}/upload?destination=${encodeURIComponent('clips/big.bin')}`,
+                             { method:'POST', body:uploadForm('big.bin', body) });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).file.name, 'clips/big.bin');
+    assert.equal(s3.stats.multipartUploads, 1);
+    assert.ok(s3.buckets.get(S3_BUCKET).get('clips/big.bin').body.equals(body));
+  });
+
+  await t.test('s3: deletes remove the object', async () => {
+    const url = `${base}/buckets/${S3_BUCKET}/files/${encodeURIComponent('themes/dark.css')}`;
+    const res = await fetch(url, { method:'DELETE' });
+    assert.equal(res.status, 200);
+    assert.equal(s3.buckets.get(S3_BUCKET).has('themes/dark.css'), false);
+    assert.equal((await fetch(url, { method:'HEAD' })).status, 404);
+  });
+});
+
@@ -0,0 +1,7 @@
+// reads lib through its binding, and unrelated objects by the same leaf names
+const lib = require('./lib');
+const { handedOn } = require('./lib');
+
+const panel = { init () { return panel.config; }, config: {} };
+panel.init();
+console.log(lib.used(), [handedOn].length);
@@ -0,0 +1,7 @@
+// exports that share their names with unrelated members read elsewhere
+function init () { return 'lib.init'; }
+function config () { return 'lib.config'; }
+function used () { return 'lib.used'; }
+function handedOn () { return 'lib.handedOn'; }
+
+module.exports = { init, config, used, handedOn };
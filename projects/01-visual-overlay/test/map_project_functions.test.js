@@ -0,0 +1,97 @@
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *  🧪  map_project_functions.js reports
+ *  • node --test test/            (from projects/01-visual-overlay)
+ *  • needs @babel/parser, @babel/traverse, chalk, fast-glob and
+ *    inquirer resolvable (NODE_PATH works) – skipped otherwise
+ *  • cloud-storage-server.js is several modules pasted into one
+ *    file; `unused` must still parse it and see each module's
+ *    imports on their own
+ *  • same-named helpers nested in different functions stay
+ *    apart instead of merging into one entry
+ *  • an export counts as used only when another module reads it
+ *    through the binding it required it as, not by its leaf name
+ *  • diff with no files compares the two newest maps of one
+ *    format, never a run's csv with its own json
+ *  • csv maps carry the git stamp and, with --blame, the blame
+ *    columns the json and html maps have
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('node:path');
+const fs     = require('node:fs');
+const { execFileSync } = require('node:child_process');
+
+/* ── constants ────────────────────────────────────────────── */
+const PROJECT = path.join(__dirname, '..');
+const SCRIPT  = path.join(PROJECT, 'map_project_functions.js');
+const DEPS    = ['@babel/parser', '@babel/traverse', 'chalk', 'fast-glob', 'inquirer'];
+const missing = DEPS.filter(d => { try { require.resolve(d); return false; } catch { return true; } });
+const skip    = missing.length ? `missing ${missing.join(', ')}` : false;
+
+/* ── helpers ──────────────────────────────────────────────── */
+function report (command, startDir, ...argv) {
+  const out = execFileSync(process.execPath,
+    [SCRIPT, command, '--start-dir', startDir, '-y', '--no-cache', '--format', 'json', ...argv],
+    { cwd:PROJECT, encoding:'utf8', stdio:['ignore', 'pipe', 'pipe'] });
+  return JSON.parse(out);
+}
+function run (...argv) {
+  return execFileSync(process.execPath, [SCRIPT, ...argv],
+    { cwd:PROJECT, encoding:'utf8', stdio:['ignore', 'pipe', 'pipe'] });
+}
+
+/* ── cases ────────────────────────────────────────────────── */
+test('unused: flags the config import of the concatenated cloud-storage routes', { skip }, () => {
+  const { imports, exports } = report('unused', 'cloud_storage_feature');
+  const hit = imports.find(i => i.file === 'cloud-storage-server.js' && i.name === 'config');
+  assert.ok(hit, `config import not reported: ${JSON.stringify(imports)}`);
+  assert.equal(hit.source, '../../config/bigquery');
+  assert.deepEqual(exports.filter(e => e.file === 'cloud-storage-server.js'), []);
+});
+
+test('unused: exports are matched through the importing binding, not the leaf name', { skip }, () => {
+  /* .jsx keeps node --test from running the fixtures */
+  const { exports } = report('unused', 'test/fixtures/unused', '--pattern', '**/*.jsx');
+  assert.deepEqual(exports.map(e => `${e.file}:${e.name}`), ['lib.jsx:init', 'lib.jsx:config']);
+});
+
+test('duplicates: nested helpers are keyed by their enclosing function', { skip }, () => {
+  const { identical, divergent } = report('duplicates', 'cloud_storage_feature');
+  const names = [...identical, ...divergent].map(g => g.name);
+  assert.deepEqual(names.filter(n => /\b(handleBucketSelected|setupEventListeners|updateTimestamp)$/.test(n)), []);
+});
+
+test('diff: without files compares the two newest maps of the same format', { skip }, (t) => {
+  const base  = `diff-test-${process.pid}`;
+  const csv   = rows => ['name,file', ...rows].join('\n') + '\n';
+  const files = {
+    [`${base}-20250101_000000.csv`] : csv(['init,a.js']),
+    [`${base}-20250102_000000.csv`] : csv(['init,a.js', 'render,b.js']),
+    [`${base}-20250102_000000.json`]: JSON.stringify({ functions:{ init:[{ file:'a.js' }], render:[{ file:'b.js' }] } })
+  };
+  for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(PROJECT, name), text);
+  t.after(() => { for (const name of Object.keys(files)) fs.rmSync(path.join(PROJECT, name), { force:true }); });
+
+  const diff = JSON.parse(run('diff', '--out-base', base, '--format', 'json'));
+  assert.deepEqual([diff.older, diff.newer], [`${base}-20250101_000000.csv`, `${base}-20250102_000000.csv`]);
+  assert.deepEqual(diff.added.map(a => a.name), ['render']);
+});
+
+test('csv: rows carry branch, head, dirty and the --blame columns', { skip }, (t) => {
+  const base = `csv-test-${process.pid}`;
+  t.after(() => fs.readdirSync(PROJECT).filter(f => f.startsWith(`${base}-`))
+                  .forEach(f => fs.rmSync(path.join(PROJECT, f), { force:true })));
+
+  run('--start-dir', 'test/fixtures/unused', '--pattern', '**/*.jsx', '--out-base', base,
+      '--format', 'csv', '--blame', '-y', '--no-cache');
+  const [file]   = fs.readdirSync(PROJECT).filter(f => f.startsWith(`${base}-`) && f.endsWith('.csv'));
+  const [header, ...rows] = fs.readFileSync(path.join(PROJECT, file), 'utf8').trim().split('\n').map(l => l.split(','));
+  const head     = execFileSync('git', ['rev-parse', 'HEAD'], { cwd:PROJECT, encoding:'utf8' }).trim();
+  for (const col of ['branch', 'head', 'dirty', 'commit', 'author', 'date', 'summary']) assert.ok(header.includes(col), col);
+  const row = Object.fromEntries(header.map((c, i) => [c, rows[0][i]]));
+  assert.equal(row.head, head);
+  assert.match(row.dirty, /^(true|false)$/);
+  assert.match(row.commit, /^[0-9a-f]{40}$/);
+  assert.match(row.date, /^\d{4}-\d\d-\d\dT/);
+});
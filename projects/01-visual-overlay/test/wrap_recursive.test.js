@@ -0,0 +1,77 @@
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *  🧪  wrap_recursive.js fixtures
+ *  • node --test test/            (from projects/01-visual-overlay)
+ *  • fixtures/wrap/<case>.md is collapsed with the default options
+ *    and compared with <case>.expected.md – fenced and indented
+ *    code, HTML blocks and Setext headings
+ *  • every case also goes wrap → --unwrap and must come back
+ *    byte for byte, with the options that change the markup
+ *  • a guide collapsed by an earlier release (tracked next to its
+ *    source) unwraps to that source and is not wrapped twice
+ *  • batch --unwrap --out-dir copies uncollapsed files through;
+ *    without fast-glob a directory input is a one-line error
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('node:path');
+const fs     = require('node:fs');
+const os     = require('node:os');
+const { execFileSync } = require('node:child_process');
+
+/* ── constants ────────────────────────────────────────────── */
+const SCRIPT   = path.join(__dirname, '..', 'wrap_recursive.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'wrap');
+const CASES    = fs.readdirSync(FIXTURES).filter(f => f.endsWith('.md') && !f.endsWith('.expected.md'));
+const VARIANTS = [[], ['--open'], ['--drop-heading'], ['--toc'], ['--min', '1', '--max', '3']];
+const LEGACY   = path.join(__dirname, '..', 'bigquery-feature', 'implimentation', 'bigquery-integration-guide');
+
+/* ── helpers ──────────────────────────────────────────────── */
+function run (...argv) {
+  return execFileSync(process.execPath, [SCRIPT, ...argv, '--stdout'], { encoding:'utf8' });
+}
+
+/* ── cases ────────────────────────────────────────────────── */
+for (const file of CASES) {
+  const input = path.join(FIXTURES, file);
+  const name  = path.basename(file, '.md');
+
+  test(`${name}: collapses as expected`, () => {
+    const expected = fs.readFileSync(path.join(FIXTURES, `${name}.expected.md`), 'utf8');
+    assert.equal(run(input), expected);
+  });
+
+  for (const flags of VARIANTS) {
+    test(`${name}: round-trips${flags.length ? ' with ' + flags.join(' ') : ''}`, (t) => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wrap-'));
+      t.after(() => fs.rmSync(dir, { recursive:true, force:true }));
+      const collapsed = path.join(dir, `${name}_recursive_collapsed.md`);
+      fs.writeFileSync(collapsed, run(input, ...flags));
+      assert.equal(run(collapsed, '--unwrap'), fs.readFileSync(input, 'utf8'));
+    });
+  }
+}
+
+test('legacy collapsed guide: unwraps to its source, refuses a second wrap', () => {
+  const legacy = `${LEGACY}_recursive_collapsed.md`;
+  assert.equal(run(legacy, '--unwrap'), fs.readFileSync(`${LEGACY}.md`, 'utf8'));
+  assert.throws(() => run(legacy), err => err.status === 1 && /already collapsed/.test(err.stderr));
+  assert.throws(() => run(`${LEGACY}.md`, '--unwrap'), err => err.status === 1 && /not collapsed/.test(err.stderr));
+});
+
+test('batch --unwrap --out-dir: uncollapsed files are copied into the mirror', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wrap-'));
+  t.after(() => fs.rmSync(dir, { recursive:true, force:true }));
+  const plain = path.join(FIXTURES, 'fenced-code.md');
+  const out   = execFileSync(process.execPath, [SCRIPT, `${LEGACY}_recursive_collapsed.md`, plain, '--unwrap', '--out-dir', dir],
+                             { encoding:'utf8' });
+  assert.match(out, /1 files restored \(24 sections\) · 1 copied · 0 skipped · 0 failed/);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['bigquery-integration-guide.md', 'fenced-code.md']);
+  assert.equal(fs.readFileSync(path.join(dir, 'fenced-code.md'), 'utf8'), fs.readFileSync(plain, 'utf8'));
+});
+
+test('directory input without fast-glob: one-line install hint', () => {
+  assert.throws(() => execFileSync(process.execPath, [SCRIPT, FIXTURES, '--out-dir', os.tmpdir()],
+                                   { encoding:'utf8', stdio:'pipe', env:{ ...process.env, NODE_PATH:'' } }),
+                err => err.status === 1 && /^❌ .*npm install fast-glob[^\n]*$/.test(err.stderr.trim()));
+});
@@ -1,50 +1,309 @@
-// wrapRecursive.js
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *  📚  wrapRecursive.js – collapsible Markdown
+ *  • wraps every heading section in <details>/<summary>, with its
+ *    subsections nested inside
+ *  • --min / --max choose the heading levels (default H2–H6)
+ *  • --open expands the top-level sections, --drop-heading leaves
+ *    the heading out of the body (the summary already shows it)
+ *  • writes <file>_recursive_collapsed.md, or --out, --stdout,
+ *    --in-place
+ *  • knows enough CommonMark to leave `## comments` in fenced or
+ *    indented code and in HTML blocks alone, and wraps Setext
+ *    (=== / ---) headings too
+ *  • --unwrap turns collapsed output back into the original, byte
+ *    for byte: generated blocks carry a data-wrap marker, every
+ *    line keeps its own line ending; files collapsed by earlier
+ *    releases (bare <details>, summary repeating the heading) are
+ *    recognised and unwrapped as well
+ *  • --toc puts a nested table of contents on top; its links use
+ *    GitHub's heading slugs (repeats get -1, -2, …) and land on an
+ *    anchor inside the section, so the browser opens its <details>
+ *  • batch mode: several files, directories or globs at once,
+ *    --out-dir mirrors the tree; collapsed files are skipped (with
+ *    --unwrap --out-dir, uncollapsed ones are copied through) and
+ *    each file reports how many sections it wrapped
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
 
-const fs = require('fs');
+const fs   = require('fs');
+const path = require('path');
+const { parseArgs } = require('./cli_helpers');
 
-const inputFile = process.argv[2];
-if (!inputFile) {
-  console.error('❌ Please provide a Markdown file as input');
-  process.exit(1);
-}
+/* ── constants ────────────────────────────────────────────── */
+const DEFAULTS  = { min:2, max:6 };
+const SUFFIX    = '_recursive_collapsed.md';
+const IGNORE    = ['**/node_modules/**', '**/.git/**'];
+
+/* generated markup – WRAP_OPEN / WRAP_CLOSE tell our blocks from hand-written <details> */
+const WRAP_OPEN    = /^<details(?: open)? data-wrap(?: data-heading="([^"]*)")?>$/;
+const WRAP_CLOSE   = '</details><!-- /wrap -->';
+const SUMMARY      = /^<summary>(.*)<\/summary>$/;
+const LEGACY_OPEN  = '<details>';     // earlier releases: bare <details>, summary = heading text
+const LEGACY_CLOSE = '</details>';
+const WRAP_ANCHOR  = /^<a data-wrap id="[^"]*"><\/a>$/;
+const TOC_OPEN     = '<!-- toc:wrap -->';
+const TOC_CLOSE    = '<!-- /toc:wrap -->';
+const ATTR_ESCAPES = { '&':'&amp;', '"':'&quot;', '<':'&lt;', '>':'&gt;', '\r':'&#13;', '\n':'&#10;' };
+
+/* block syntax, after https://spec.commonmark.org – enough to tell real
+   headings from look-alikes; list / blockquote nesting is not modelled  */
+const BLANK      = /^[ \t]*$/;
+const INDENTED   = /^(?: {0,3}\t| {4})/;                        // indented code (outside a paragraph)
+const FENCE      = /^ {0,3}(`{3,}(?=[^`]*$)|~{3,})/;            // ``` info / ~~~ info
+const ATX        = /^ {0,3}(#{1,6})(?=[ \t]|$)[ \t]*(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT     = /^ {0,3}(=+|-+)[ \t]*$/;                     // underline of the paragraph above
+const THEMATIC   = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const CONTAINER  = /^ {0,3}(?:>|[-+*][ \t]|\d{1,9}[.)][ \t])/;    // quote / list item: no Setext heading
+const BLOCK_TAGS = 'address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|' +
+                   'dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[1-6]|head|header|' +
+                   'hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|' +
+                   'search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul';
+const HTML_BLOCKS = [                                           // start → end (BLANK = next blank line)
+  { start: /^ {0,3}<(?:script|pre|style|textarea)(?:[ \t>]|$)/i, end: /<\/(?:script|pre|style|textarea)>/i, interrupts: true },
+  { start: /^ {0,3}<!--/,                                      end: /-->/,                                  interrupts: true },
+  { start: /^ {0,3}<\?/,                                       end: /\?>/,                                  interrupts: true },
+  { start: /^ {0,3}<![A-Za-z]/,                                end: />/,                                    interrupts: true },
+  { start: /^ {0,3}<!\[CDATA\[/,                               end: /\]\]>/,                                interrupts: true },
+  { start: new RegExp(`^ {0,3}</?(?:${BLOCK_TAGS})(?:[ \\t>]|/>|$)`, 'i'), end: BLANK,                       interrupts: true },
+  { start: /^ {0,3}<\/?[A-Za-z][\w-]*(?:\s[^>]*)?\/?>[ \t]*$/,     end: BLANK,                               interrupts: false }
+];
+const CLI_FLAGS = {
+  '--min'          : { key:'min', arg:true },
+  '--max'          : { key:'max', arg:true },
+  '--out'          : { key:'out', arg:true },
+  '-o'             : { key:'out', arg:true },
+  '--out-dir'      : { key:'outDir', arg:true },
+  '--stdout'       : { key:'stdout' },
+  '--in-place'     : { key:'inPlace' },
+  '--drop-heading' : { key:'dropHeading' },
+  '--open'         : { key:'open' },
+  '--unwrap'       : { key:'unwrap' },
+  '--toc'          : { key:'toc' },
+  '--help'         : { key:'help' },
+  '-h'             : { key:'help' }
+};
+const USAGE = `Usage: node wrap_recursive.js <file.md> [options]
+       node wrap_recursive.js <files | dirs | globs…> [--out-dir <dir> | --in-place] [options]
+
+  --min <1-6>         shallowest heading level to collapse (default ${DEFAULTS.min})
+  --max <1-6>         deepest heading level to collapse (default ${DEFAULTS.max})
+  -o, --out <file>    output path (default <file>${SUFFIX}; with --unwrap <file>
+                      minus ${SUFFIX}, which is never silently overwritten)
+  --out-dir <dir>     batch: write into <dir>, mirroring each input's tree
+                      (same names; --unwrap drops the ${SUFFIX} suffix);
+                      inputs that would share an output path are refused
+  --stdout            print the result instead of writing a file
+  --in-place          overwrite the input file
+  --drop-heading      omit the original heading line inside <details>
+  --open              render top-level sections expanded (<details open>)
+  --toc               insert a linked table of contents at the top
+  --unwrap            restore the original from a file this tool collapsed
+  -h, --help          show this help
+
+Directories are searched for *.md (this needs fast-glob; plain file paths
+do not). In batch mode files that are already collapsed (or, with --unwrap,
+not collapsed) are skipped – --unwrap --out-dir copies those unchanged so
+the mirror is complete; without --out-dir or --in-place each result lands
+next to its source as with a single file.`;
+
+/* ── bootstrap ────────────────────────────────────────────── */
+let args;
+try { args = parseArgs(process.argv.slice(2), { flags: CLI_FLAGS, usage: USAGE }); }
+catch (err) { exitWith(`❌ ${err.message}`); }
+if (args.help) { console.log(USAGE); process.exit(0); }
+
+if (!args._.length) exitWith('❌ Please provide a Markdown file as input');
+if ([args.out, args.outDir, args.stdout, args.inPlace].filter(Boolean).length > 1)
+  exitWith('❌ --out, --out-dir, --stdout and --in-place are mutually exclusive');
+
+const opts = {
+  min        : headingLevel(args.min ?? DEFAULTS.min, '--min'),
+  max        : headingLevel(args.max ?? DEFAULTS.max, '--max'),
+  keepHeading: !args.dropHeading,
+  open       : Boolean(args.open),
+  toc        : Boolean(args.toc)
+};
+if (opts.min > opts.max) exitWith(`❌ --min (${opts.min}) is deeper than --max (${opts.max})`);
+
+const single = args._.length === 1 && !args.outDir && fs.statSync(args._[0], { throwIfNoEntry: false })?.isFile();
+if (single) runSingle(args._[0]);
+else runBatch(args._);
 
-const outputFile = inputFile.replace(/\.md$/, '_recursive_collapsed.md');
-const lines = fs.readFileSync(inputFile, 'utf8').split(/\r?\n/);
+/* ── runs ─────────────────────────────────────────────────── */
+function runSingle(inputFile) {
+  let source;
+  try { source = fs.readFileSync(inputFile, 'utf8'); }
+  catch { exitWith(`❌ Cannot read ${inputFile}`); }
 
-function isHeading(line) {
-  const match = /^(#{2,6})\s+(.*)/.exec(line);
-  return match ? { level: match[1].length, text: match[2] } : null;
+  if (!args.unwrap && isWrapped(source))
+    exitWith(`❌ ${inputFile} is already collapsed – run it through --unwrap first`);
+  if (args.unwrap && !isWrapped(source))
+    exitWith(`❌ ${inputFile} is not collapsed – nothing to unwrap`);
+  const { text, sections } = args.unwrap ? unwrap(source) : wrap(source, opts);
+  if (args.stdout) return process.stdout.write(text);
+
+  const outputFile = args.inPlace ? inputFile : args.out ?? defaultOutput(inputFile, args.unwrap);
+  if (!args.out && !args.inPlace && clobbers(outputFile, text))
+    exitWith(`❌ ${outputFile} exists and differs – pass --out, --stdout or --in-place`);
+  fs.writeFileSync(outputFile, text, 'utf8');
+  console.log(args.unwrap ? `✅ Original Markdown restored to: ${outputFile} (${sections} sections unwrapped)`
+                          : `✅ Recursive collapsible Markdown written to: ${outputFile} (${sections} sections)`);
 }
 
-function wrapSections(lines, level = 2) {
-  let output = [];
-  let i = 0;
+/* one line per file, then totals; a file that fails does not stop the rest.
+   Every target is worked out before anything is written: two inputs that
+   land on the same output (same relative path under different roots with
+   --out-dir) stop the run instead of silently overwriting each other      */
+function runBatch(inputs) {
+  if (args.out || args.stdout) exitWith('❌ --out and --stdout take a single file – use --out-dir for several');
+  const outDir = args.outDir && path.resolve(args.outDir);
+  const totals = { done: 0, copied: 0, skipped: 0, failed: 0, sections: 0 };
+  const verb   = args.unwrap ? 'restored' : 'collapsed';
+  const jobs   = [];
 
-  while (i < lines.length) {
-    const heading = isHeading(lines[i]);
+  for (const { file, rel } of expand(inputs, outDir)) {
+    const shown = path.relative(process.cwd(), file);
+    let source;
+    try { source = fs.readFileSync(file, 'utf8'); }
+    catch { console.log(`  ❌ ${shown} – cannot read`); totals.failed++; continue; }
 
-    if (heading && heading.level === level) {
-      const summary = heading.text.trim();
-      const headingLine = lines[i];
-      i++;
+    const collapsed = isWrapped(source) || (!args.unwrap && file.endsWith(SUFFIX));
+    const mismatch  = collapsed !== Boolean(args.unwrap);
+    const copy      = mismatch && Boolean(args.unwrap && outDir);
+    if (mismatch && !copy) {
+      console.log(`  ⏭️  ${shown} – ${args.unwrap ? 'not collapsed' : 'already collapsed'}`);
+      totals.skipped++;
+      continue;
+    }
+    const target = args.inPlace ? file
+      : outDir ? path.join(outDir, args.unwrap ? restoredName(rel) : rel)
+      : defaultOutput(file, args.unwrap);
+    jobs.push({ file, shown, source, target, copy });
+  }
 
-      let section = [];
-      while (i < lines.length) {
-        const nextHeading = isHeading(lines[i]);
-        if (nextHeading && nextHeading.level <= level) break;
-        section.push(lines[i]);
-        i++;
+  const sources = new Map();
+  for (const { target, shown } of jobs) sources.set(target, [...(sources.get(target) ?? []), shown]);
+  const clashes = [...sources].filter(([, from]) => from.length > 1);
+  if (clashes.length)
+    exitWith('❌ Several inputs map to the same output – nothing was written:\n' + clashes
+      .map(([target, from]) => `  ${path.relative(process.cwd(), target)} ← ${from.join(', ')}`).join('\n') +
+      '\nPass the inputs in separate runs or give each its own --out-dir');
+
+  for (const { shown, source, target, copy } of jobs) {
+    const { text, sections } = copy ? { text: source, sections: 0 } : args.unwrap ? unwrap(source) : wrap(source, opts);
+    if (!args.inPlace && clobbers(target, text)) {
+      console.log(`  ❌ ${shown} – ${path.relative(process.cwd(), target)} exists and differs`);
+      totals.failed++;
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, text, 'utf8');
+    if (copy) {
+      console.log(`  📄 ${shown} → ${path.relative(process.cwd(), target)} (not collapsed, copied)`);
+      totals.copied++;
+      continue;
+    }
+    console.log(`  ✅ ${shown} → ${path.relative(process.cwd(), target)} (${sections} sections)`);
+    totals.done++;
+    totals.sections += sections;
+  }
+  console.log(`${totals.done} files ${verb} (${totals.sections} sections)${totals.copied ? ` · ${totals.copied} copied` : ''}` +
+              ` · ${totals.skipped} skipped · ${totals.failed} failed`);
+  if (totals.failed) process.exit(1);
+}
+
+/* ── block scan ───────────────────────────────────────────── *
+ *  lines → array of the same length: { level, text, span } on the
+ *  first line of each ATX or Setext heading (span = lines it takes),
+ *  null everywhere else – including inside code and HTML blocks      */
+function scanHeadings(lines) {
+  const heads = lines.map(() => null);
+  let fence = null;                 // closing-fence regex while inside ``` / ~~~
+  let html  = null;                 // end regex while inside an HTML block
+  let para  = null;                 // { start, setext } while a paragraph is open
+
+  lines.forEach((line, i) => {
+    if (fence) { if (fence.test(line)) fence = null; return; }
+    if (html)  { if (html.test(line)) html = null; if (BLANK.test(line)) para = null; return; }
+    if (BLANK.test(line)) { para = null; return; }
+    if (!para && INDENTED.test(line)) return;
+
+    let m;
+    if ((m = FENCE.exec(line))) {
+      fence = new RegExp(`^ {0,3}${m[1][0]}{${m[1].length},}[ \\t]*$`);
+      para = null;
+    } else if ((m = ATX.exec(line))) {
+      heads[i] = { level: m[1].length, text: m[2], span: 1 };
+      para = null;
+    } else if (para?.setext && (m = SETEXT.exec(line))) {
+      heads[para.start] = { level: m[1][0] === '=' ? 1 : 2, span: i - para.start + 1,
+                            text: lines.slice(para.start, i).map(l => l.trim()).join(' ') };
+      para = null;
+    } else if (THEMATIC.test(line)) {
+      para = null;
+    } else {
+      const block = HTML_BLOCKS.find(b => b.start.test(line) && (!para || b.interrupts));
+      if (block) {
+        if (block.end === BLANK || !block.end.test(line)) html = block.end;
+        para = null;
+      } else if (!para || CONTAINER.test(line)) {
+        para = { start: i, setext: !CONTAINER.test(line) };
       }
+    }
+  });
+  return heads;
+}
+
+/* ── wrapping ─────────────────────────────────────────────── */
+/* lines keep their own terminators and generated lines use the document's
+   first one; a missing final newline is lent to the last line for the run
+   and taken back afterwards, which is what lets unwrap() restore it        */
+function wrap(source, opts) {
+  const raw  = splitLines(source);
+  const eol  = /\r\n|\r|\n/.exec(source)?.[0] ?? '\n';
+  const lent = raw.length > 0 && !/[\r\n]$/.test(source);
+  if (lent) raw[raw.length - 1] += eol;
+  const heads = scanHeadings(raw.map(stripEol));
+  const run   = { ...opts, eol, slugs:opts.toc ? slugHeadings(heads) : null, entries:[], sections:0 };
+  let text    = wrapSections(raw, heads, run).join('');
+  if (run.entries.length) text = tocBlock(run.entries, eol) + text;
+  if (lent) text = text.slice(0, text.endsWith(WRAP_CLOSE + eol + eol) ? -2 * eol.length : -eol.length);
+  return { text, sections: run.sections };
+}
+
+/* only levels in min..max count – anything else is plain text */
+function headingAt(heads, i, opts) {
+  const h = heads[i];
+  return h && h.level >= opts.min && h.level <= opts.max ? h : null;
+}
+
+/* a section runs from its heading to the next heading of the same or a
+   shallower level, so an H4 directly under an H2 still nests one step down */
+function wrapSections(raw, heads, opts, from = 0, to = raw.length, depth = 0) {
+  const output = [];
+  let i = from;
 
-      const nested = wrapSections(section, level + 1);
+  while (i < to) {
+    const heading = headingAt(heads, i, opts);
 
-      output.push(`<details>`);
-      output.push(`<summary>${summary}</summary>\n`);
-      output.push(headingLine);
-      output.push(...nested);
-      output.push(`</details>\n`);
+    if (heading) {
+      const body = i + heading.span;
+      let end = body;
+      while (end < to && !(headingAt(heads, end, opts)?.level <= heading.level)) end++;
+
+      const dropped = opts.keepHeading ? '' : ` data-heading="${escapeAttr(raw.slice(i, body).join(''))}"`;
+      output.push(`<details${depth === 0 && opts.open ? ' open' : ''} data-wrap${dropped}>${opts.eol}`);
+      opts.sections++;
+      output.push(`<summary>${heading.text}</summary>${opts.eol}`, opts.eol);
+      if (opts.slugs) {
+        output.push(`<a data-wrap id="${opts.slugs[i]}"></a>${opts.eol}`);
+        opts.entries.push({ depth, text: plainText(heading.text), slug: opts.slugs[i] });
+      }
+      if (opts.keepHeading) output.push(...raw.slice(i, body));
+      output.push(...wrapSections(raw, heads, opts, body, end, depth + 1));
+      output.push(WRAP_CLOSE + opts.eol, opts.eol);
+      i = end;
     } else {
-      output.push(lines[i]);
+      output.push(raw[i]);
       i++;
     }
   }
@@ -52,6 +311,168 @@ function wrapSections(lines, level = 2) {
   return output;
 }
 
-const result = wrapSections(lines);
-fs.writeFileSync(outputFile, result.join('\n'), 'utf8');
-console.log(`✅ Recursive collapsible Markdown written to: ${outputFile}`);
+/* ── table of contents ────────────────────────────────────── *
+ *  slugs follow github-slugger: lower-case, drop everything but
+ *  letters, digits, spaces, hyphens and underscores, spaces → '-',
+ *  and number repeats in document order – every heading counts,
+ *  wrapped or not, so ids match the ones GitHub gives the headings  */
+function slugHeadings(heads) {
+  const seen = new Map();
+  return heads.map(h => {
+    if (!h) return null;
+    const base = plainText(h.text).toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '').replace(/ /g, '-');
+    let slug = base;
+    while (seen.has(slug)) {                    // Implementation, Implementation-1, …
+      seen.set(base, seen.get(base) + 1);
+      slug = `${base}-${seen.get(base)}`;
+    }
+    seen.set(slug, 0);
+    return slug;
+  });
+}
+/* heading source → the text GitHub renders: links, code and emphasis marks out */
+function plainText(text) {
+  return text.replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/<[^>]+>/g, '').replace(/[`*]|~~/g, '').trim();
+}
+/* the anchor sits inside the section body: following a link reveals it,
+   and browsers open the closed <details> around a fragment target      */
+function tocBlock(entries, eol) {
+  const items = entries.map(e => `${'  '.repeat(e.depth)}- [${e.text.replace(/[[\]]/g, '\\$&')}](#${e.slug})`);
+  return [TOC_OPEN, ...items, TOC_CLOSE, ''].map(l => l + eol).join('');
+}
+
+/* ── unwrapping ───────────────────────────────────────────── */
+/* drops exactly the lines wrap() added – <details data-wrap>, summary,
+   the blank after it, the closing tag and the blank after that, toc and
+   anchors – and puts --drop-heading headings back; everything else
+   passes untouched. Legacy blocks close with a bare </details>, so those
+   are matched to their openers on a stack; their blank line follows the
+   tag, or precedes it at the end of the file                            */
+function unwrap(text) {
+  const raw    = splitLines(text);
+  const legacy = legacyOpeners(raw);
+  const open   = [];                      // enclosing <details>: true = legacy
+  const out    = [];
+  let sections = 0;
+  for (let i = 0; i < raw.length; i++) {
+    const line = stripEol(raw[i]);
+    const wrapped = WRAP_OPEN.exec(line);
+    if (wrapped && SUMMARY.test(stripEol(raw[i + 1] ?? '')) && BLANK.test(stripEol(raw[i + 2] ?? '-'))) {
+      if (wrapped[1] !== undefined) out.push(unescapeAttr(wrapped[1]));
+      sections++;
+      i += 2;
+    } else if (legacy.has(i)) {
+      open.push(true);
+      sections++;
+      i += 2;
+    } else if (line === LEGACY_CLOSE && open.length && open.pop()) {
+      if (i + 1 < raw.length) i += BLANK.test(stripEol(raw[i + 1])) ? 1 : 0;
+      else if (BLANK.test(stripEol(out.at(-1) ?? '-'))) out.pop();
+    } else if (/^<details[\s>]/i.test(line)) {
+      open.push(false);
+      out.push(raw[i]);
+    } else if (line === WRAP_CLOSE) {
+      i++;
+    } else if (line === TOC_OPEN && i === 0) {
+      while (i < raw.length && stripEol(raw[i]) !== TOC_CLOSE) i++;
+      i++;
+    } else if (WRAP_ANCHOR.test(line)) {
+      continue;
+    } else {
+      out.push(raw[i]);
+    }
+  }
+  const result = out.join('');
+  return { text: /[\r\n]$/.test(text) ? result : result.replace(/(?:\r\n|\r|\n)$/, ''), sections };
+}
+
+function isWrapped(text) {
+  const raw = splitLines(text);
+  return raw.some(l => WRAP_OPEN.test(stripEol(l))) || legacyOpeners(raw).size > 0;
+}
+/* line indexes of legacy openers: <details>, <summary>X</summary>, a blank
+   line, then a heading whose text is X                                      */
+function legacyOpeners(raw) {
+  const lines = raw.map(stripEol);
+  const heads = scanHeadings(lines);
+  const found = new Set();
+  lines.forEach((line, i) => {
+    const summary = line === LEGACY_OPEN && SUMMARY.exec(lines[i + 1] ?? '');
+    const heading = summary && BLANK.test(lines[i + 2] ?? '-') && heads[i + 3];
+    if (heading && [heading.text, plainText(heading.text)].includes(summary[1])) found.add(i);
+  });
+  return found;
+}
+
+/* ── helpers ──────────────────────────────────────────────── */
+/* 'a\r\nb\n' → ['a\r\n', 'b\n'] – terminators stay on their lines */
+function splitLines(text) {
+  return text.match(/[^\r\n]*(?:\r\n|\r|\n)|[^\r\n]+$/g) ?? [];
+}
+function stripEol(line) {
+  return line.replace(/(?:\r\n|\r|\n)$/, '');
+}
+
+function escapeAttr(s) {
+  return s.replace(/[&"<>\r\n]/g, c => ATTR_ESCAPES[c]);
+}
+function unescapeAttr(s) {
+  const named = Object.fromEntries(Object.entries(ATTR_ESCAPES).map(([c, e]) => [e, c]));
+  return s.replace(/&(?:amp|quot|lt|gt|#13|#10);/g, e => named[e]);
+}
+
+function defaultOutput(file, unwrapping) {
+  const { dir, name } = path.parse(file);
+  if (!unwrapping) return path.join(dir, name + SUFFIX);
+  return path.join(dir, file.endsWith(SUFFIX) ? path.basename(file, SUFFIX) + '.md' : `${name}_unwrapped.md`);
+}
+/* guide_recursive_collapsed.md → guide.md, anything else unchanged */
+function restoredName(file) {
+  return file.endsWith(SUFFIX) ? file.slice(0, -SUFFIX.length) + '.md' : file;
+}
+/* only unwrap writes over an existing file by default – it restores sources */
+function clobbers(file, text) {
+  return Boolean(args.unwrap) && fs.existsSync(file) && fs.readFileSync(file, 'utf8') !== text;
+}
+
+/* files, directories (searched for *.md) and globs → [{ file, rel }], where
+   rel is the path below the input's own base – the part --out-dir mirrors;
+   fast-glob is only loaded for directories and globs, so plain files need
+   nothing beyond node itself                                                 */
+function expand(inputs, outDir) {
+  const found = new Map();
+  for (const input of inputs) {
+    const stat = fs.statSync(input, { throwIfNoEntry: false });
+    const base = path.resolve(stat?.isFile() ? path.dirname(input) : stat ? input : globBase(input));
+    const matches = stat?.isFile() ? [path.resolve(input)]
+      : loadGlob().sync(stat ? '**/*.md' : input, { cwd: stat ? input : '.', absolute: true, ignore: IGNORE });
+    for (const file of matches.map(f => path.resolve(f)))
+      if (!found.has(file) && !(outDir && file.startsWith(outDir + path.sep))) found.set(file, path.relative(base, file));
+  }
+  if (!found.size) exitWith('❌ No Markdown files found');
+  return [...found].sort(([a], [b]) => a.localeCompare(b)).map(([file, rel]) => ({ file, rel }));
+}
+function loadGlob() {
+  try { return require('fast-glob'); }
+  catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    exitWith('❌ Directories and globs need fast-glob – run npm install fast-glob, or pass the .md files themselves');
+  }
+}
+/* leading glob segments without magic: 'phase03/arch*.md' → 'phase03' */
+function globBase(glob) {
+  const parts = glob.split('/');
+  const magic = parts.findIndex(p => /[*?[\]{}()!]/.test(p));
+  return parts.slice(0, magic < 0 ? -1 : magic).join('/') || '.';
+}
+
+function headingLevel(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 6) exitWith(`❌ ${flag} expects a heading level from 1 to 6`);
+  return n;
+}
+
+function exitWith(msg, code = 1) {
+  console.error(msg);
+  process.exit(code);
+}